@@ -3,18 +3,36 @@
 namespace tallowandsons\softlimit;
 
 use Craft;
+use craft\base\ElementInterface;
 use craft\base\Field;
 use craft\base\Model;
 use craft\base\Plugin;
 use craft\base\SavableComponent;
+use craft\base\FieldLayoutElement;
+use craft\events\CreateFieldLayoutFormEvent;
 use craft\events\DefineFieldHtmlEvent;
 use craft\events\ModelEvent;
+use craft\events\RegisterComponentTypesEvent;
 use craft\events\TemplateEvent;
+use craft\fields\Assets;
+use craft\fields\BaseRelationField;
+use craft\fields\Categories;
+use craft\fields\Entries;
+use craft\fields\Matrix;
 use craft\fields\PlainText;
+use craft\fields\Table;
+use craft\fieldlayoutelements\assets\AltField;
+use craft\fieldlayoutelements\BaseNativeField;
+use craft\fieldlayoutelements\Html;
+use craft\fieldlayoutelements\TitleField;
+use craft\models\FieldLayout;
+use craft\models\Site;
+use craft\services\Plugins;
 use craft\web\View;
 use tallowandsons\softlimit\models\Settings;
 use tallowandsons\softlimit\web\assets\cp\CpAsset;
 use yii\base\Event;
+use yii\base\InvalidConfigException;
 
 /**
  * Soft Limit plugin
@@ -27,11 +45,108 @@ use yii\base\Event;
  */
 class SoftLimit extends Plugin
 {
+    /**
+     * @event RegisterComponentTypesEvent The event that is triggered when registering the field types
+     * that can have soft limits.
+     *
+     * Counters for these field types are added from markers in their instructions, like the built-in
+     * ones. In the control panel, they're counted by the JavaScript handler registered for the field
+     * type with `SoftLimitManager.registerHandler()`, or as plain text if there isn't one.
+     *
+     * ```php
+     * use craft\events\RegisterComponentTypesEvent;
+     * use tallowandsons\softlimit\SoftLimit;
+     * use yii\base\Event;
+     *
+     * Event::on(
+     *     SoftLimit::class,
+     *     SoftLimit::EVENT_REGISTER_FIELD_TYPES,
+     *     function(RegisterComponentTypesEvent $event) {
+     *         $event->types[] = MyField::class;
+     *     }
+     * );
+     * ```
+     */
+    public const EVENT_REGISTER_FIELD_TYPES = 'registerFieldTypes';
+
     public string $schemaVersion = '1.0.0';
-    public bool $hasCpSettings = false;
+    public bool $hasCpSettings = true;
+
+    /**
+     * Counting units supported by the soft limit marker, keyed by the
+     * spellings accepted in instructions (e.g. "[soft-limit:40:words]")
+     */
+    public const UNITS = [
+        'characters' => 'characters',
+        'character' => 'characters',
+        'chars' => 'characters',
+        'words' => 'words',
+        'word' => 'words',
+        'sentences' => 'sentences',
+        'sentence' => 'sentences',
+        'paragraphs' => 'paragraphs',
+        'paragraph' => 'paragraphs',
+        'lines' => 'lines',
+        'line' => 'lines',
+        'pixels' => 'pixels',
+        'pixel' => 'pixels',
+        'px' => 'pixels',
+        'items' => 'items',
+        'item' => 'items',
+    ];
+
+    /**
+     * Fonts that pixel widths can be measured in, with the `font:` marker option
+     */
+    public const FONTS = ['title', 'description'];
+
+    /**
+     * Names of the counting units, as plural messages translated with the count
+     */
+    public const UNIT_NAMES = [
+        'characters' => '{count, plural, =1{character} other{characters}}',
+        'words' => '{count, plural, =1{word} other{words}}',
+        'sentences' => '{count, plural, =1{sentence} other{sentences}}',
+        'paragraphs' => '{count, plural, =1{paragraph} other{paragraphs}}',
+        'lines' => '{count, plural, =1{line} other{lines}}',
+        'pixels' => '{count, plural, =1{pixel} other{pixels}}',
+        'items' => '{count, plural, =1{item} other{items}}',
+    ];
+
+    /**
+     * Ways counters can show the count, with the `display:` marker option
+     */
+    public const DISPLAYS = ['count', 'remaining', 'percentage', 'bar', 'ring'];
+
+    /**
+     * Where counters can be placed, with the `position:` marker option
+     */
+    public const POSITIONS = ['below', 'label', 'corner'];
+
+    /**
+     * Matches a soft limit marker, capturing its contents
+     */
+    private const MARKER_PATTERN = '/\[soft-limit:([^\]]+)\]/i';
+
+    /**
+     * Matches a group limit marker, capturing its contents
+     */
+    private const GROUP_MARKER_PATTERN = '/\[soft-limit-group:([^\]]+)\]/i';
+
+    /**
+     * Matches a required or avoided phrase marker, capturing its type and phrases
+     */
+    private const PHRASE_MARKER_PATTERN = '/\[soft-(require|avoid):([^\]]+)\]/i';
 
     private static bool $immediateScriptInjected = false;
 
+    private static bool $cpAssetsRegistered = false;
+
+    /**
+     * @var string[]|null The field types that support soft limits, once they've been registered
+     */
+    private ?array $allowedFieldTypes = null;
+
     public static function config(): array
     {
         return [
@@ -59,15 +174,114 @@ class SoftLimit extends Plugin
         return Craft::$app->view->renderTemplate('soft-limit/_settings.twig', [
             'plugin' => $this,
             'settings' => $this->getSettings(),
+            'fieldOptions' => $this->getFieldOptions(),
+            'layoutOptions' => $this->getLayoutOptions(),
+            'unitOptions' => $this->getUnitOptions(),
+            'displayOptions' => [
+                ['label' => Craft::t('soft-limit', 'Count and limit (42/160)'), 'value' => 'count'],
+                ['label' => Craft::t('soft-limit', 'Remaining (118 characters left)'), 'value' => 'remaining'],
+                ['label' => Craft::t('soft-limit', 'Percentage (26%)'), 'value' => 'percentage'],
+                ['label' => Craft::t('soft-limit', 'Progress bar'), 'value' => 'bar'],
+                ['label' => Craft::t('soft-limit', 'Progress ring'), 'value' => 'ring'],
+            ],
+            'positionOptions' => [
+                ['label' => Craft::t('soft-limit', 'Below the input'), 'value' => 'below'],
+                ['label' => Craft::t('soft-limit', 'Next to the label'), 'value' => 'label'],
+                ['label' => Craft::t('soft-limit', 'In the corner of the input'), 'value' => 'corner'],
+            ],
         ]);
     }
 
+    /**
+     * Get the fields that can have soft limits in the settings, as select options
+     *
+     * Table fields aren't included, as their limits are set per column.
+     *
+     * @return array
+     */
+    private function getFieldOptions(): array
+    {
+        $options = [];
+
+        foreach (Craft::$app->getFields()->getAllFields() as $field) {
+            if ($field instanceof Table || !in_array(get_class($field), $this->getAllowedFieldTypes(), true)) {
+                continue;
+            }
+
+            $options[] = ['label' => "{$field->name} ({$field->handle})", 'value' => $field->uid];
+        }
+
+        usort($options, fn(array $a, array $b) => strcasecmp($a['label'], $b['label']));
+
+        return $options;
+    }
+
+    /**
+     * Get the field layouts that soft limits in the settings can be scoped to, as select options
+     *
+     * @return array
+     */
+    private function getLayoutOptions(): array
+    {
+        $options = [
+            ['label' => Craft::t('soft-limit', 'Everywhere'), 'value' => ''],
+        ];
+
+        // Entry types are managed by the Entries service in Craft 5, and by the Sections service in Craft 4
+        $entryTypes = method_exists(Craft::$app, 'getEntries') && method_exists(Craft::$app->getEntries(), 'getAllEntryTypes')
+            ? Craft::$app->getEntries()->getAllEntryTypes()
+            : Craft::$app->getSections()->getAllEntryTypes();
+
+        $groups = [
+            'Entry type: {name}' => $entryTypes,
+            'Volume: {name}' => Craft::$app->getVolumes()->getAllVolumes(),
+            'Category group: {name}' => Craft::$app->getCategories()->getAllGroups(),
+        ];
+
+        foreach ($groups as $label => $models) {
+            foreach ($models as $model) {
+                $options[] = [
+                    'label' => Craft::t('soft-limit', $label, ['name' => $model->name]),
+                    'value' => $model->getFieldLayout()->uid,
+                ];
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Get the counting units as select options for the settings
+     *
+     * @return array
+     */
+    private function getUnitOptions(): array
+    {
+        $options = [
+            ['label' => Craft::t('soft-limit', 'Default'), 'value' => ''],
+        ];
+
+        foreach (array_unique(self::UNITS) as $unit) {
+            $options[] = ['label' => Craft::t('soft-limit', ucfirst($unit)), 'value' => $unit];
+        }
+
+        return $options;
+    }
+
     private function attachEventHandlers(): void
     {
         // Register event handlers here ...
         // (see https://craftcms.com/docs/5.x/extend/events.html to get started)
 
-        $this->registerFieldEvents();
+        // Field types are registered once all plugins are loaded, so that any plugin can add them
+        Event::on(
+            Plugins::class,
+            Plugins::EVENT_AFTER_LOAD_PLUGINS,
+            function () {
+                $this->registerFieldEvents();
+            }
+        );
+        $this->registerNativeFieldEvents();
     }
 
     /**
@@ -80,22 +294,196 @@ class SoftLimit extends Plugin
             View::class,
             View::EVENT_BEFORE_RENDER_TEMPLATE,
             function (TemplateEvent $event) {
-                if (Craft::$app->getRequest()->getIsCpRequest()) {
+                // Every template and include fires this, but the assets, settings (which can
+                // parse every field's instructions) and translations only need adding once
+                if (!self::$cpAssetsRegistered && Craft::$app->getRequest()->getIsCpRequest()) {
+                    self::$cpAssetsRegistered = true;
                     Craft::$app->view->registerAssetBundle(CpAsset::class);
+                    Craft::$app->view->registerJsVar('softLimitSettings', $this->getJsSettings());
+                    Craft::$app->view->registerTranslations('soft-limit', $this->getJsTranslations());
                 }
             }
         );
     }
 
     /**
-     * Get the field types that support soft limit functionality
+     * Get the plugin settings that the control panel JavaScript needs
+     *
+     * @return array
+     */
+    private function getJsSettings(): array
+    {
+        $settings = $this->getSettings();
+
+        return [
+            'reviewBeforeSave' => $settings->reviewBeforeSave,
+            'showOverview' => $settings->showOverview,
+            'highlightOverflow' => $settings->highlightOverflow,
+            'pasteGuard' => $settings->pasteGuard,
+            'fieldSettings' => $this->isEditingFieldSettings() ? $this->getFieldSettingsJs() : null,
+        ];
+    }
+
+    /**
+     * Whether the current request is for a settings page where fields or field layouts can be edited
+     *
+     * @return bool
+     */
+    private function isEditingFieldSettings(): bool
+    {
+        return Craft::$app->getRequest()->getSegment(1) === 'settings' &&
+            Craft::$app->getUser()->getIsAdmin();
+    }
+
+    /**
+     * Get what the control panel JavaScript needs to preview soft limit markers as they're
+     * written in field settings, and to badge field layout designer cards with their limits
+     *
+     * The limits are keyed by field UID. Each has the limit from the field's own instructions
+     * or the field limits setting, and the limits the setting gives it in specific field layouts.
+     * Table fields have limits for their columns instead, keyed by column handle.
+     *
+     * @return array
+     */
+    private function getFieldSettingsJs(): array
+    {
+        $allowedFieldTypes = $this->getAllowedFieldTypes();
+        $fields = [];
+
+        foreach (Craft::$app->getFields()->getAllFields() as $field) {
+            if (!in_array(get_class($field), $allowedFieldTypes, true)) {
+                continue;
+            }
+
+            // Table fields' markers set limits for columns, which getSoftLimit() can't parse
+            $softLimit = !$field instanceof Table ? $this->getSoftLimit($field) : null;
+            $columnLimits = $field instanceof Table ? $this->keyByColumnHandle($field, $this->getColumnSoftLimits($field)) : [];
+
+            $fields[$field->uid] = [
+                'id' => $field->id,
+                'type' => get_class($field),
+                'limit' => $softLimit !== null ? $this->getLimitSummary($softLimit) : null,
+                'columns' => array_map(fn(array $softLimit) => $this->getLimitSummary($softLimit), $columnLimits),
+                'layouts' => [],
+            ];
+        }
+
+        // Limits for specific layouts, unless the field's own instructions set one
+        foreach ($this->getSettings()->getFieldLimits() as $row) {
+            $field = $fields[$row['field'] ?? ''] ?? null;
+
+            if ($field === null || empty($row['layout'])) {
+                continue;
+            }
+
+            $instructions = Craft::$app->getFields()->getFieldByUid($row['field'])->instructions ?? '';
+            $softLimit = !preg_match(self::MARKER_PATTERN, $instructions) ? $this->parseFieldLimit($row) : null;
+
+            if ($softLimit !== null) {
+                $fields[$row['field']]['layouts'][$row['layout']] = $this->getLimitSummary($softLimit);
+            }
+        }
+
+        return [
+            'fieldTypes' => $allowedFieldTypes,
+            'counterDisplay' => $this->getSettings()->counterDisplay,
+            'fields' => $fields,
+        ];
+    }
+
+    /**
+     * Get the parts of a soft limit config needed to show it, e.g. on a field layout designer card
+     *
+     * @param array $softLimit A config returned by [[parseMarker()]]
+     * @return array
+     */
+    private function getLimitSummary(array $softLimit): array
+    {
+        return [
+            'limit' => $softLimit['limit'],
+            'min' => $softLimit['min'],
+            'unit' => $softLimit['unit'],
+        ];
+    }
+
+    /**
+     * Get the messages that the control panel JavaScript translates with `Craft.t('soft-limit', ...)`
+     *
+     * @return string[]
+     */
+    private function getJsTranslations(): array
+    {
+        return [
+            ...array_values(self::UNIT_NAMES),
+            '{count}/{limit}',
+            '{count}/{limit}px',
+            '{count}/{limit} {unit}',
+            '{min}–{limit}',
+            '{amount} {unit}',
+            '{amount}px',
+            '{amount} left',
+            '{amount} over',
+            '{amount} to go',
+            'Approaching limit',
+            'Over limit',
+            'Well over limit',
+            'Below minimum',
+            'Within target range',
+            'Within limit',
+            'At limit',
+            'Approaching limit: {amount} left',
+            'Over limit by {amount}',
+            'Below minimum: {amount} more needed',
+            '{field}: {message}',
+            '{field} › {column}',
+            '{field} › {column} (row {row})',
+            'Soft limits',
+            'All within limits',
+            '{count} over',
+            '{count, plural, =1{# field over its soft limit} other{# fields over their soft limit}}',
+            '{count, plural, =1{# field is over its soft limit} other{# fields are over their soft limit}}',
+            '{count, plural, =1{# field is over its soft limit. Save anyway?} other{# fields are over their soft limit. Save anyway?}}',
+            'You can still save, or go back and tighten things up first.',
+            'Go to field',
+            'Cancel',
+            'Save anyway',
+            'Search result preview',
+            'Trim to limit',
+            'Trim',
+            'After trimming: {count}',
+            'The pasted text takes this field {amount} over its limit.',
+            'Keep all',
+            'Keep first {amount}',
+            'Keep up to last full sentence',
+            'Total for {group}',
+            '{group}: {share} of {total}',
+            'Include “{phrase}”',
+            'Avoid “{phrase}”',
+            // Limits in field settings
+            '{target}: {limit}',
+            'Soft limit: {limit}',
+        ];
+    }
+
+    /**
+     * Get the field types that support soft limit functionality, including those
+     * registered by other plugins with the `registerFieldTypes` event
      *
      * @return array
      */
     private function getAllowedFieldTypes(): array
     {
+        if ($this->allowedFieldTypes !== null) {
+            return $this->allowedFieldTypes;
+        }
+
         $fieldTypes = [
             PlainText::class,
+            Table::class,
+            Matrix::class,
+            Entries::class,
+            Assets::class,
+            Categories::class,
         ];
 
         // Add CKEditor if it exists
@@ -108,7 +496,18 @@ class SoftLimit extends Plugin
             $fieldTypes[] = 'craft\\redactor\\Field';
         }
 
-        return $fieldTypes;
+        // add Link (Craft 5.3+), for its label input
+        if (class_exists('craft\\fields\\Link')) {
+            $fieldTypes[] = 'craft\\fields\\Link';
+        }
+
+        // Let other plugins add their field types
+        $event = new RegisterComponentTypesEvent([
+            'types' => $fieldTypes,
+        ]);
+        $this->trigger(self::EVENT_REGISTER_FIELD_TYPES, $event);
+
+        return $this->allowedFieldTypes = array_values(array_unique($event->types));
     }
 
     private function registerFieldEvents()
@@ -125,42 +524,50 @@ class SoftLimit extends Plugin
                     /** @var Field $field */
                     $field = $event->sender;
 
-                    // Check field instructions for soft limit marker
-                    // (limit is also validated at this point, and will be null if invalid)
-                    $softLimit = $this->getSoftLimit($field);
-
-                    if ($softLimit && $softLimit > 0) {
-                        $view = Craft::$app->getView();
-                        $inputId = $view->namespaceInputId($field->handle);
-                        $fieldClass = get_class($field);
-
-                        // Add the counter HTML with all necessary data attributes
-                        $counterHtml = '<div class="soft-limit-counter" ' .
-                            'data-input="' . htmlspecialchars($inputId) . '" ' .
-                            'data-limit="' . $softLimit . '" ' .
-                            'data-field-class="' . htmlspecialchars($fieldClass) . '">' .
-                            '0/' . $softLimit . '</div>';
-
-                        // inject a smidge of JavaScript to hide the "[soft-limit:x]" part of the instructions
-                        // only inject the immediate script once per page load
-                        if (!self::$immediateScriptInjected) {
-                            self::$immediateScriptInjected = true;
-
-                            // Get the script path relative to the plugin base path
-                            $scriptPath = $this->getBasePath() . '/web/assets/cp/dist/immediate-cleanup.js';
-
-                            if (file_exists($scriptPath)) {
-                                $scriptContent = file_get_contents($scriptPath);
-
-                                // Inject inline for immediate execution
-                                $immediateScript = '<script>' . $scriptContent . '</script>';
-                                $event->html .= $immediateScript;
-                            } else {
-                                Craft::warning("Soft Limit: Could not find immediate cleanup script at {$scriptPath}", __METHOD__);
-                            }
+                    // Check field instructions (and Table column headings) for soft limit markers
+                    // (limits are also validated at this point, and invalid ones are skipped)
+                    $site = $this->getElementSite($event->element);
+
+                    if ($field instanceof Table) {
+                        $counterHtml = $this->getTableCounterHtml($field, $site);
+                    } elseif (is_a($field, 'craft\\fields\\Link')) {
+                        $counterHtml = $this->getLinkCounterHtml($field, $site);
+                    } else {
+                        $softLimit = $this->getSoftLimit($field);
+                        $group = $this->getSoftLimitGroup($field);
+                        $phrases = $this->getPhrases($field);
+                        $data = [
+                            'input' => Craft::$app->getView()->namespaceInputId($field->handle),
+                            'handle' => $field->handle,
+                            'field-class' => get_class($field),
+                        ];
+
+                        if ($group !== null) {
+                            $data += $this->getGroupData($group);
+                        }
+
+                        if ($phrases !== null) {
+                            $data += [
+                                'require' => $phrases['require'] ? implode('|', $phrases['require']) : null,
+                                'avoid' => $phrases['avoid'] ? implode('|', $phrases['avoid']) : null,
+                            ];
                         }
-                        $event->html .= $counterHtml;
+
+                        // Fields that only count towards a group, or only have phrase hints,
+                        // get a counter without a limit of their own
+                        if ($softLimit === null && ($group !== null || $phrases !== null)) {
+                            $softLimit = $this->getNoLimitSoftLimit($group);
+                            $data['no-limit'] = 'true';
+                        }
+
+                        $counterHtml = $softLimit ? $this->getCounterHtml($softLimit, $data, $site) : null;
+                    }
+
+                    if ($counterHtml === null) {
+                        return;
                     }
+
+                    $event->html .= $this->getImmediateScriptHtml() . $counterHtml;
                 }
             );
 
@@ -174,8 +581,8 @@ class SoftLimit extends Plugin
                     /** @var Field $field */
                     $field = $event->sender;
 
-                    // Only validate if field has instructions
-                    if (!$field->instructions) {
+                    // Only validate if field has instructions (or Table columns, which can have markers in their headings)
+                    if (!$field->instructions && !$field instanceof Table) {
                         return;
                     }
 
@@ -186,91 +593,1266 @@ class SoftLimit extends Plugin
     }
 
     /**
-     * Validates soft limit instructions in field instructions
+     * Registers the event that adds counters to native layout elements
+     * (entry titles, slugs and asset alt text), based on their instructions
+     */
+    private function registerNativeFieldEvents(): void
+    {
+        Event::on(
+            FieldLayout::class,
+            FieldLayout::EVENT_CREATE_FORM,
+            function (CreateFieldLayoutFormEvent $event) {
+                if ($event->static) {
+                    return;
+                }
+
+                $site = $this->getElementSite($event->element);
+
+                // Add the counters as HTML elements after the layout elements they belong to.
+                // The JavaScript moves them into place, as slugs aren't part of the layout.
+                $tabs = [];
+
+                foreach ($event->tabs as $tab) {
+                    $elements = [];
+                    $hasCounters = false;
+
+                    foreach ($tab->getElements() as $layoutElement) {
+                        $elements[] = $layoutElement;
+
+                        if (!$layoutElement->showInForm($event->element)) {
+                            continue;
+                        }
+
+                        $counterHtml = $this->getNativeFieldCounterHtml($layoutElement, $site);
+
+                        if ($counterHtml !== null) {
+                            $elements[] = new Html('<div class="soft-limit-native" hidden>' . $this->getImmediateScriptHtml() . $counterHtml . '</div>');
+                            $hasCounters = true;
+                        }
+                    }
+
+                    // The tabs are the layout's own, which every form it creates starts from,
+                    // so counters are added to a copy
+                    if ($hasCounters) {
+                        $tab = clone $tab;
+                        $tab->setElements($elements);
+                    }
+
+                    $tabs[] = $tab;
+                }
+
+                $event->tabs = $tabs;
+            }
+        );
+    }
+
+    /**
+     * Get the counter HTML for a native layout element
      *
-     * @param Field $field The field being saved
-     * @param ModelEvent $event The model event
+     * Entry title elements can also set a limit for the slug, e.g. "[soft-limit:title=70,slug=60]".
+     *
+     * @param FieldLayoutElement $layoutElement
+     * @param Site $site The site being edited
+     * @return string|null Returns null if the element has no (valid) soft limit
      */
-    private function validateSoftLimitInstructions(Field $field, ModelEvent $event): void
+    private function getNativeFieldCounterHtml(FieldLayoutElement $layoutElement, Site $site): ?string
     {
-        // Skip validation entirely on Craft 4 to avoid Matrix field initialization issues
-        if (version_compare(Craft::$app->getVersion(), '5.0.0', '<')) {
-            return;
+        if (
+            !$layoutElement instanceof TitleField &&
+            !$layoutElement instanceof AltField
+        ) {
+            return null;
         }
 
-        $instructions = $field->instructions;
+        /** @var BaseNativeField $layoutElement */
+        if (!$layoutElement->instructions || !preg_match(self::MARKER_PATTERN, $layoutElement->instructions, $matches)) {
+            return null;
+        }
 
-        // Find all soft-limit markers in the instructions
-        $matches = [];
-        $matchCount = preg_match_all('/\[soft-limit:([^\]]+)\]/', $instructions, $matches, PREG_SET_ORDER);
+        $attribute = $layoutElement->attribute();
+        $targets = $layoutElement instanceof TitleField ? ['title' => $attribute, 'slug' => 'slug'] : [$attribute => $attribute];
+        $errors = [];
+        $softLimits = $this->parseTargetedMarker($matches[1], $targets, [$attribute], Craft::t('soft-limit', 'attribute'), $errors);
 
-        if ($matchCount === 0) {
-            return; // No soft-limit markers found, nothing to validate
+        if ($softLimits === null) {
+            Craft::warning("Soft Limit: Invalid marker '{$matches[0]}' for the '{$attribute}' field (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+            return null;
         }
 
-        $errors = [];
+        $counterHtml = '';
 
-        foreach ($matches as $match) {
-            $fullMatch = $match[0]; // e.g., "[soft-limit:100]"
-            $limitValue = trim($match[1]); // e.g., "100"
+        foreach ($softLimits as $target => $softLimit) {
+            $counterHtml .= $this->getCounterHtml($this->applyDefaults($softLimit), [
+                'attribute' => $target,
+                'handle' => $target,
+                'field-class' => get_class($layoutElement),
+            ], $site);
+        }
 
-            // Check if the limit value is a valid integer
-            if (!ctype_digit($limitValue)) {
-                $errors[] = "Invalid soft limit value '{$limitValue}' in '{$fullMatch}'. Must be a positive integer.";
-                continue;
-            }
+        return $counterHtml;
+    }
 
-            $numericLimit = (int)$limitValue;
-            $validatedLimit = $this->validateLimit($numericLimit);
+    /**
+     * Get the counter HTML for a Link field's label input
+     *
+     * @param Field $field A `craft\fields\Link` field
+     * @param Site $site The site being edited
+     * @return string|null Returns null if the field has no (valid) soft limit, or doesn't show a label input
+     */
+    private function getLinkCounterHtml(Field $field, Site $site): ?string
+    {
+        $softLimit = $this->getSoftLimit($field);
 
-            if ($validatedLimit === null) {
-                $errors[] = "Invalid soft limit value '{$limitValue}' in '{$fullMatch}'. Must be between 1 and 100,000.";
-            }
+        if (!$softLimit || empty($field->showLabelField)) {
+            return null;
         }
 
-        // Check for multiple soft-limit markers (not allowed)
-        if ($matchCount > 1) {
-            $errors[] = "Multiple soft-limit markers found. Only one [soft-limit:X] marker is allowed per field.";
+        return $this->getCounterHtml($softLimit, [
+            'target' => 'input[name$="[label]"]',
+            'handle' => $field->handle,
+            'field-class' => get_class($field),
+        ], $site);
+    }
+
+    /**
+     * Get a smidge of JavaScript that hides the "[soft-limit:x]" part of instructions
+     *
+     * The script is only returned once per page load.
+     *
+     * @return string
+     */
+    private function getImmediateScriptHtml(): string
+    {
+        if (self::$immediateScriptInjected) {
+            return '';
         }
 
-        // If there are validation errors, prevent saving and add errors to the field
-        if (!empty($errors)) {
-            $event->isValid = false;
+        self::$immediateScriptInjected = true;
 
-            foreach ($errors as $error) {
-                $field->addError('instructions', $error);
-                Craft::warning("Soft Limit validation error for field '{$field->handle}': {$error}", __METHOD__);
-            }
+        // Get the script path relative to the plugin base path
+        $scriptPath = $this->getBasePath() . '/web/assets/cp/dist/immediate-cleanup.js';
+
+        if (!file_exists($scriptPath)) {
+            Craft::warning("Soft Limit: Could not find immediate cleanup script at {$scriptPath}", __METHOD__);
+            return '';
         }
+
+        // Inject inline for immediate execution
+        return '<script>' . file_get_contents($scriptPath) . '</script>';
     }
 
     /**
-     * Extract and validate soft limit from field instructions
+     * Get the counter HTML for a soft limit
      *
-     * @param Field $field The field to check
-     * @return int|null Returns the validated soft limit or null if none found or invalid
+     * Counters are matched to their input by ID (`input`), by the `data-attribute` of a field
+     * container (`attribute`), or by a selector within their own field container (`target`).
+     *
+     * When the limit has site overrides, the one for the given site is used, and the
+     * counter's tooltip says which site's limit applies.
+     *
+     * @param array $softLimit The soft limit config, with defaults applied (see [[getSoftLimit()]])
+     * @param array $data Data attributes, e.g. `['input' => 'fields-summary', 'handle' => 'summary']`
+     * @param Site|null $site The site being edited
+     * @return string
      */
-    private function getSoftLimit(Field $field): ?int
+    private function getCounterHtml(array $softLimit, array $data = [], ?Site $site = null): string
     {
-        $instructions = $this->getFieldInstructions($field);
+        $title = null;
 
-        if (!$instructions) {
-            return null;
+        if (!empty($softLimit['sites'])) {
+            $site ??= Craft::$app->getSites()->getCurrentSite();
+            $softLimit = $this->applySiteLimit($softLimit, $site);
+            $title = $softLimit['site'] !== null
+                ? Craft::t('soft-limit', 'Limit for {site}', ['site' => $site->name])
+                : Craft::t('soft-limit', 'Default limit ({site} has no limit of its own)', ['site' => $site->name]);
         }
 
-        if (preg_match('/\[soft-limit:(\d+)\]/', $instructions, $matches)) {
-            $rawLimit = (int)$matches[1];
-            $softLimit = $this->validateLimit($rawLimit);
+        $limit = $softLimit['limit'];
+        $min = $softLimit['min'];
+        $unit = $softLimit['unit'];
+        $counterText = '';
 
-            if ($softLimit === null) {
-                Craft::warning("Soft Limit: Invalid limit '{$rawLimit}' for field '{$field->handle}'. Skipping.", __METHOD__);
-                return null;
+        // Counters without a limit of their own are filled in with their group share, if any
+        if (empty($data['no-limit'])) {
+            $formatter = Craft::$app->getFormatter();
+            $params = [
+                'count' => $formatter->asInteger(0),
+                'limit' => $min !== null
+                    ? Craft::t('soft-limit', '{min}–{limit}', ['min' => $formatter->asInteger($min), 'limit' => $formatter->asInteger($limit)])
+                    : $formatter->asInteger($limit),
+            ];
+            $counterText = match ($unit) {
+                'characters' => Craft::t('soft-limit', '{count}/{limit}', $params),
+                'pixels' => Craft::t('soft-limit', '{count}/{limit}px', $params),
+                default => Craft::t('soft-limit', '{count}/{limit} {unit}', $params + [
+                    'unit' => Craft::t('soft-limit', self::UNIT_NAMES[$unit], ['count' => $limit]),
+                ]),
+            };
+        }
+
+        $data += [
+            'limit' => $limit,
+            'min' => $min,
+            'unit' => $unit,
+            'warn' => implode(',', $softLimit['warn']),
+            'over' => implode(',', $softLimit['over']),
+            'font' => $unit === 'pixels' ? $this->getSettings()->getFont($softLimit['font']) : null,
+            'preview' => $softLimit['preview'] ? $softLimit['font'] : null,
+            'display' => $softLimit['display'],
+            'position' => $softLimit['position'],
+        ];
+
+        // Add the counter HTML with all necessary data attributes
+        $counterHtml = '<div class="soft-limit-counter"' . ($title !== null ? ' title="' . htmlspecialchars($title) . '"' : '');
+
+        foreach ($data as $name => $value) {
+            if ($value !== null) {
+                $counterHtml .= ' data-' . $name . '="' . htmlspecialchars((string)$value) . '"';
             }
+        }
+
+        return $counterHtml . '>' . htmlspecialchars($counterText) . '</div>';
+    }
+
+    /**
+     * Get the counter templates for a Table field's limited columns
+     *
+     * Table rows come and go, so rather than rendering counters, this renders a template
+     * per limited column, which the JavaScript copies into every cell of that column.
+     *
+     * @param Table $field
+     * @param Site $site The site being edited
+     * @return string|null Returns null if no columns have soft limits
+     */
+    private function getTableCounterHtml(Table $field, Site $site): ?string
+    {
+        $columnLimits = $this->getColumnSoftLimits($field);
+
+        if (empty($columnLimits)) {
+            return null;
+        }
 
-            return $softLimit;
+        $inputId = Craft::$app->getView()->namespaceInputId($field->handle);
+        $html = '<div class="soft-limit-table" data-input="' . htmlspecialchars($inputId) . '" hidden>';
+
+        foreach ($columnLimits as $columnId => $softLimit) {
+            $heading = $this->removeMarker($field->columns[$columnId]['heading'] ?? '');
+            $html .= '<template data-column="' . htmlspecialchars($columnId) . '">' .
+                $this->getCounterHtml($softLimit, [
+                    'handle' => $field->handle,
+                    'field-class' => get_class($field),
+                    'column' => $columnId,
+                    'column-heading' => $heading !== '' ? $heading : ($field->columns[$columnId]['handle'] ?? $columnId),
+                ], $site) .
+                '</template>';
         }
 
-        return null;
+        return $html . '</div>';
+    }
+
+    /**
+     * Validates soft limit instructions in field instructions
+     *
+     * Table fields can also have markers in their column headings.
+     *
+     * @param Field $field The field being saved
+     * @param ModelEvent $event The model event
+     */
+    private function validateSoftLimitInstructions(Field $field, ModelEvent $event): void
+    {
+        // Skip validation entirely on Craft 4 to avoid Matrix field initialization issues
+        if (version_compare(Craft::$app->getVersion(), '5.0.0', '<')) {
+            return;
+        }
+
+        $instructions = $field->instructions ?? '';
+        $errors = $this->checkInstructions(
+            $instructions,
+            fn(string $value, array &$markerErrors) => $field instanceof Table
+                ? $this->parseTableMarker($field, $value, $markerErrors)
+                : $this->parseMarker($value, $markerErrors, $this->countsItems($field)),
+            $this->hasSingleTextInput($field)
+        )['errors'];
+
+        // Check markers in Table column headings, e.g. "Question [soft-limit:80]"
+        $columnErrors = [];
+
+        if ($field instanceof Table) {
+            foreach ($field->columns as $columnId => $column) {
+                if (!preg_match(self::MARKER_PATTERN, $column['heading'] ?? '', $match)) {
+                    continue;
+                }
+
+                $markerErrors = [];
+
+                if (!isset($this->getTextColumns($field)[$columnId])) {
+                    $markerErrors[] = Craft::t('soft-limit', 'Soft limits can only be used on Single-line Text and Multi-line Text columns');
+                } else {
+                    $this->parseMarker($match[1], $markerErrors);
+                }
+
+                foreach ($markerErrors as $markerError) {
+                    $columnErrors[] = Craft::t('soft-limit', '{marker}: {error}.', ['marker' => $match[0], 'error' => $markerError]);
+                }
+            }
+        }
+
+        // If there are validation errors, prevent saving and add errors to the field
+        if (!empty($errors) || !empty($columnErrors)) {
+            $event->isValid = false;
+
+            foreach (['instructions' => $errors, 'columns' => $columnErrors] as $attribute => $attributeErrors) {
+                foreach ($attributeErrors as $error) {
+                    $field->addError($attribute, $error);
+                    Craft::warning("Soft Limit validation error for field '{$field->handle}': {$error}", __METHOD__);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check the soft limit markers in some instructions the way they're checked when a field is saved,
+     * for the previews in field settings and the field layout designer
+     *
+     * @param string $instructions
+     * @param Field|string|null $field The field whose card in the layout designer the instructions
+     * override, or the field type chosen in field settings, if known
+     * @param string|null $attribute The native field the instructions are for ("title" or "alt"), if any
+     * @return array `['configs' => [...], 'group' => [...], 'phrases' => [...], 'errors' => [...], 'markers' => 1]`,
+     * where `configs` holds the parts of each limit needed to show it (see [[getLimitSummary()]]) and its counter
+     * display, keyed by target name ('' for the field itself), `group` is the group config (see [[parseGroupMarker()]])
+     * and `phrases` the required and avoided phrases (see [[getPhrases()]]), each null if there's no such valid marker
+     */
+    public function previewInstructions(string $instructions, Field|string|null $field = null, ?string $attribute = null): array
+    {
+        // Unknown field types are given the benefit of the doubt
+        if (is_string($field) && !in_array($field, $this->getAllowedFieldTypes(), true)) {
+            $field = null;
+        }
+
+        if (in_array($attribute, ['title', 'alt'], true)) {
+            // The same targets as getNativeFieldCounterHtml()
+            $targets = $attribute === 'title' ? ['title' => 'title', 'slug' => 'slug'] : [$attribute => $attribute];
+            $parseMarker = fn(string $value, array &$errors) => $this->parseTargetedMarker($value, $targets, [$attribute], Craft::t('soft-limit', 'attribute'), $errors);
+        } elseif ($field instanceof Table) {
+            $parseMarker = function(string $value, array &$errors) use ($field): ?array {
+                $softLimits = $this->parseTableMarker($field, $value, $errors);
+
+                return $softLimits !== null ? $this->keyByColumnHandle($field, $softLimits) : null;
+            };
+        } elseif ($field === Table::class) {
+            // Column handles aren't known until the field is saved, so any column name is allowed
+            $parseMarker = fn(string $value, array &$errors) => $this->parseTargetedMarker($value, null, [''], Craft::t('soft-limit', 'Single-line Text or Multi-line Text column'), $errors);
+        } else {
+            $parseMarker = function(string $value, array &$errors) use ($field): ?array {
+                $softLimit = $this->parseMarker($value, $errors, $field !== null && $this->countsItems($field));
+
+                return $softLimit !== null ? ['' => $softLimit] : null;
+            };
+        }
+
+        // Only custom fields can be in groups or have phrases
+        $hasSingleTextInput = $attribute === null && ($field === null || $this->hasSingleTextInput($field));
+        $result = $this->checkInstructions($instructions, $parseMarker, $hasSingleTextInput);
+        $configs = $result['softLimit'] !== null ? array_map(
+            fn(array $softLimit) => $this->getLimitSummary($softLimit) + ['display' => $softLimit['display']],
+            $result['softLimit']
+        ) : null;
+
+        return [
+            'configs' => $configs,
+            'group' => $result['group'],
+            'phrases' => $result['phrases'],
+            'errors' => $result['errors'],
+            'markers' => $result['markers'],
+        ];
+    }
+
+    /**
+     * Check the soft limit markers in some instructions
+     *
+     * @param string $instructions
+     * @param callable $parseMarker Parses a marker's contents and adds any errors, e.g. [[parseMarker()]]:
+     * `fn(string $value, array &$errors): ?array`
+     * @param bool $hasSingleTextInput Whether the instructions are for a field with a single text input
+     * or editor (see [[hasSingleTextInput()]]), which can be in a group and have phrases
+     * @return array `['softLimit' => [...], 'group' => [...], 'phrases' => [...], 'errors' => [...], 'markers' => 2]`,
+     * where `softLimit` is what the first soft limit marker parsed to, `group` is what the first group marker
+     * parsed to (see [[parseGroupMarker()]]) and `phrases` holds the phrases of every phrase marker
+     * (see [[getPhrases()]]), each null if there's no such marker or there are any errors
+     */
+    private function checkInstructions(string $instructions, callable $parseMarker, bool $hasSingleTextInput): array
+    {
+        $matches = [];
+        $matchCount = preg_match_all(self::MARKER_PATTERN, $instructions, $matches, PREG_SET_ORDER);
+        $softLimit = null;
+        $errors = [];
+
+        foreach ($matches as $match) {
+            $markerErrors = [];
+            $parsed = $parseMarker($match[1], $markerErrors);
+
+            if ($parsed === null) {
+                $fullMatch = $match[0]; // e.g., "[soft-limit:100]" or "[soft-limit:40:words warn:90]"
+
+                foreach ($markerErrors as $markerError) {
+                    $errors[] = Craft::t('soft-limit', '{marker}: {error}.', ['marker' => $fullMatch, 'error' => $markerError]);
+                }
+            } else {
+                $softLimit ??= $parsed;
+            }
+        }
+
+        // Check for multiple soft-limit markers (not allowed)
+        if ($matchCount > 1) {
+            $errors[] = Craft::t('soft-limit', 'Multiple soft-limit markers found. Only one [soft-limit:X] marker is allowed per field.');
+        }
+
+        // Check group limit markers, e.g. "[soft-limit-group:hero:120]"
+        $groupMatches = [];
+        $groupMatchCount = preg_match_all(self::GROUP_MARKER_PATTERN, $instructions, $groupMatches, PREG_SET_ORDER);
+        $group = null;
+
+        foreach ($groupMatches as $match) {
+            $markerErrors = [];
+
+            if (!$hasSingleTextInput) {
+                $markerErrors[] = Craft::t('soft-limit', 'Group limits can only be used on fields with a single text input or editor');
+            } else {
+                $group ??= $this->parseGroupMarker($match[1], $markerErrors);
+            }
+
+            foreach ($markerErrors as $markerError) {
+                $errors[] = Craft::t('soft-limit', '{marker}: {error}.', ['marker' => $match[0], 'error' => $markerError]);
+            }
+        }
+
+        if ($groupMatchCount > 1) {
+            $errors[] = Craft::t('soft-limit', 'Multiple group limit markers found. A field can only be in one group.');
+        }
+
+        // Check phrase markers, e.g. "[soft-avoid:click here|synergy]"
+        $phraseMatches = [];
+        $phraseMatchCount = preg_match_all(self::PHRASE_MARKER_PATTERN, $instructions, $phraseMatches, PREG_SET_ORDER);
+        $phrases = ['require' => [], 'avoid' => []];
+
+        foreach ($phraseMatches as $match) {
+            $markerErrors = [];
+
+            if (!$hasSingleTextInput) {
+                $markerErrors[] = Craft::t('soft-limit', 'Required and avoided phrases can only be used on fields with a single text input or editor');
+            } else {
+                $type = strtolower($match[1]);
+                $markerPhrases = $this->parsePhrases($match[2], $markerErrors) ?? [];
+                $phrases[$type] = array_values(array_unique(array_merge($phrases[$type], $markerPhrases)));
+            }
+
+            foreach ($markerErrors as $markerError) {
+                $errors[] = Craft::t('soft-limit', '{marker}: {error}.', ['marker' => $match[0], 'error' => $markerError]);
+            }
+        }
+
+        return [
+            'softLimit' => empty($errors) ? $softLimit : null,
+            'group' => empty($errors) ? $group : null,
+            'phrases' => empty($errors) && $phraseMatchCount ? $phrases : null,
+            'errors' => $errors,
+            'markers' => $matchCount + $groupMatchCount + $phraseMatchCount,
+        ];
+    }
+
+    /**
+     * Extract and validate soft limit from field instructions, or the field limits setting
+     *
+     * Thresholds that aren't set in the marker fall back to the plugin settings.
+     *
+     * @param Field $field The field to check
+     * @return array|null Returns the validated soft limit config (see [[parseMarker()]]),
+     * or null if none found or invalid
+     */
+    private function getSoftLimit(Field $field): ?array
+    {
+        $instructions = $this->getFieldInstructions($field);
+
+        if ($instructions && preg_match(self::MARKER_PATTERN, $instructions, $matches)) {
+            $errors = [];
+            $softLimit = $this->parseMarker($matches[1], $errors, $this->countsItems($field));
+
+            if ($softLimit !== null) {
+                return $this->applyDefaults($softLimit);
+            }
+
+            Craft::warning("Soft Limit: Invalid marker '{$matches[0]}' for field '{$field->handle}' (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+        }
+
+        $softLimit = $this->getConfiguredSoftLimit($field);
+
+        return $softLimit !== null ? $this->applyDefaults($softLimit) : null;
+    }
+
+    /**
+     * Extract and validate a group limit from field instructions
+     *
+     * @param Field $field The field to check
+     * @return array|null Returns the validated group config (see [[parseGroupMarker()]]),
+     * or null if none found, invalid, or the field can't be in a group
+     */
+    private function getSoftLimitGroup(Field $field): ?array
+    {
+        $instructions = $this->getFieldInstructions($field);
+
+        if (!$instructions || !$this->hasSingleTextInput($field) || !preg_match(self::GROUP_MARKER_PATTERN, $instructions, $matches)) {
+            return null;
+        }
+
+        $errors = [];
+        $group = $this->parseGroupMarker($matches[1], $errors);
+
+        if ($group === null) {
+            Craft::warning("Soft Limit: Invalid marker '{$matches[0]}' for field '{$field->handle}' (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+        }
+
+        return $group;
+    }
+
+    /**
+     * Get the data attributes that add a counter to a group
+     *
+     * The group's thresholds are the plugin's defaults, as members can set their own.
+     *
+     * @param array $group The group config (see [[parseGroupMarker()]])
+     * @return array
+     */
+    private function getGroupData(array $group): array
+    {
+        $settings = $this->getSettings();
+
+        return [
+            'group' => $group['name'],
+            'group-limit' => $group['limit'],
+            'group-unit' => $group['unit'],
+            'group-warn' => implode(',', $settings->getWarningThresholds()),
+            'group-over' => implode(',', $settings->getOverThresholds()),
+        ];
+    }
+
+    /**
+     * Extract the required and avoided phrases from field instructions
+     *
+     * A field can have several of each marker, and their phrases are combined.
+     *
+     * @param Field $field The field to check
+     * @return array|null Returns `['require' => string[], 'avoid' => string[]]`,
+     * or null if none found, or the field can't have phrases
+     */
+    private function getPhrases(Field $field): ?array
+    {
+        $instructions = $this->getFieldInstructions($field);
+
+        if (!$instructions || !$this->hasSingleTextInput($field) || !preg_match_all(self::PHRASE_MARKER_PATTERN, $instructions, $matches, PREG_SET_ORDER)) {
+            return null;
+        }
+
+        $phrases = ['require' => [], 'avoid' => []];
+
+        foreach ($matches as $match) {
+            $errors = [];
+            $markerPhrases = $this->parsePhrases($match[2], $errors);
+
+            if ($markerPhrases === null) {
+                Craft::warning("Soft Limit: Invalid marker '{$match[0]}' for field '{$field->handle}' (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+                continue;
+            }
+
+            $type = strtolower($match[1]);
+            $phrases[$type] = array_values(array_unique(array_merge($phrases[$type], $markerPhrases)));
+        }
+
+        return $phrases['require'] || $phrases['avoid'] ? $phrases : null;
+    }
+
+    /**
+     * Get the soft limit config for the counter of a field without a limit of its own.
+     * Group members count in the group's unit.
+     *
+     * @param array|null $group The group config (see [[parseGroupMarker()]]), if the field is in one
+     * @return array
+     */
+    private function getNoLimitSoftLimit(?array $group): array
+    {
+        return [
+            'limit' => $group['limit'] ?? null,
+            'min' => null,
+            'unit' => $group['unit'] ?? 'characters',
+            'warn' => [],
+            'over' => [],
+            'font' => null,
+            'preview' => false,
+            'display' => 'count',
+            'position' => 'below',
+            'sites' => [],
+        ];
+    }
+
+    /**
+     * Whether a field has a single text input or editor, so it can count towards a group limit
+     * and have phrase hints. Table, Link, Matrix and relation fields don't.
+     *
+     * @param Field|string $field A field, or a field type
+     * @return bool
+     */
+    private function hasSingleTextInput(Field|string $field): bool
+    {
+        return !is_a($field, Table::class, true) && !is_a($field, 'craft\\fields\\Link', true) && !$this->countsItems($field);
+    }
+
+    /**
+     * Get a field's soft limit from the field limits setting
+     *
+     * A limit for the field layout the field is in takes precedence over a limit for every layout.
+     *
+     * @param Field $field
+     * @return array|null Returns the parsed config (see [[parseMarker()]]), or null if there's none
+     */
+    private function getConfiguredSoftLimit(Field $field): ?array
+    {
+        $layoutUid = $this->getFieldLayoutUid($field);
+        $match = null;
+
+        foreach ($this->getSettings()->getFieldLimits() as $row) {
+            if (($row['field'] ?? null) !== $field->uid) {
+                continue;
+            }
+
+            $rowLayout = $row['layout'] ?? '';
+
+            if ($rowLayout !== '' && $rowLayout === $layoutUid) {
+                $match = $row;
+                break;
+            }
+
+            if ($rowLayout === '') {
+                $match ??= $row;
+            }
+        }
+
+        if ($match === null) {
+            return null;
+        }
+
+        $errors = [];
+        $softLimit = $this->parseFieldLimit($match, $errors);
+
+        if ($softLimit === null) {
+            Craft::warning("Soft Limit: Invalid field limits setting for field '{$field->handle}' (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+        }
+
+        return $softLimit;
+    }
+
+    /**
+     * Parse a row of the field limits setting (see [[Settings::$fieldLimits]])
+     *
+     * @param array $row
+     * @param string[] $errors Populated with validation errors, if any
+     * @return array|null Returns the parsed config (see [[parseMarker()]]), or null if invalid
+     */
+    public function parseFieldLimit(array $row, array &$errors = []): ?array
+    {
+        $field = !empty($row['field']) ? Craft::$app->getFields()->getFieldByUid($row['field']) : null;
+
+        if (!$field) {
+            $errors[] = Craft::t('soft-limit', 'Choose a field');
+            return null;
+        }
+
+        if (trim($row['limit'] ?? '') === '') {
+            $errors[] = Craft::t('soft-limit', 'Enter a limit for {field}', ['field' => $field->name]);
+            return null;
+        }
+
+        // Build the equivalent marker, so settings and markers are parsed the same way.
+        // The limit can be followed by site overrides, e.g. "150 de:190".
+        [$limit, $overrides] = array_pad(preg_split('/\s+/', trim($row['limit']), 2), 2, '');
+        $marker = $limit;
+
+        if (!empty($row['unit'])) {
+            $marker .= ':' . $row['unit'];
+        }
+
+        $marker .= " {$overrides}";
+
+        foreach (['warn', 'over'] as $option) {
+            $thresholds = preg_replace('/\s+/', '', $row[$option] ?? '');
+
+            if ($thresholds !== '') {
+                $marker .= " {$option}:{$thresholds}";
+            }
+        }
+
+        return $this->parseMarker($marker, $errors, $this->countsItems($field));
+    }
+
+    /**
+     * Get the UID of the field layout a field is being rendered in, if known
+     *
+     * @param Field $field
+     * @return string|null
+     */
+    private function getFieldLayoutUid(Field $field): ?string
+    {
+        if (!isset($field->layoutElement)) {
+            return null;
+        }
+
+        try {
+            return $field->layoutElement->getLayout()->uid;
+        } catch (InvalidConfigException) {
+            return null;
+        }
+    }
+
+    /**
+     * Extract and validate the soft limits of a Table field's columns
+     *
+     * Limits can be set for several columns in the field's instructions, e.g.
+     * "[soft-limit:question=80,answer=400]", or for a single column in its heading,
+     * e.g. "Question [soft-limit:80]". Headings take precedence.
+     *
+     * @param Table $field
+     * @return array Returns validated soft limit configs (see [[parseMarker()]]), keyed by column ID
+     */
+    private function getColumnSoftLimits(Table $field): array
+    {
+        $softLimits = [];
+        $instructions = $this->getFieldInstructions($field);
+
+        if ($instructions && preg_match(self::MARKER_PATTERN, $instructions, $matches)) {
+            $errors = [];
+            $softLimits = $this->parseTableMarker($field, $matches[1], $errors) ?? [];
+
+            if (!empty($errors)) {
+                Craft::warning("Soft Limit: Invalid marker '{$matches[0]}' for field '{$field->handle}' (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+            }
+        }
+
+        foreach ($this->getTextColumns($field) as $columnId => $column) {
+            if (preg_match(self::MARKER_PATTERN, $column['heading'] ?? '', $matches)) {
+                $errors = [];
+                $softLimit = $this->parseMarker($matches[1], $errors);
+
+                if ($softLimit === null) {
+                    Craft::warning("Soft Limit: Invalid marker '{$matches[0]}' for column '{$columnId}' of field '{$field->handle}' (" . implode(' ', $errors) . "). Skipping.", __METHOD__);
+                    continue;
+                }
+
+                $softLimits[$columnId] = $softLimit;
+            }
+        }
+
+        return array_map(fn(array $softLimit) => $this->applyDefaults($softLimit), $softLimits);
+    }
+
+    /**
+     * Fill in the parts of a soft limit config that weren't set in the marker from the plugin settings
+     *
+     * @param array $softLimit A config returned by [[parseMarker()]]
+     * @return array
+     */
+    private function applyDefaults(array $softLimit): array
+    {
+        $settings = $this->getSettings();
+        $softLimit['warn'] ??= $settings->getWarningThresholds();
+        $softLimit['over'] ??= $settings->getOverThresholds();
+
+        $softLimit['display'] ??= $settings->counterDisplay;
+        $softLimit['position'] ??= $settings->counterPosition;
+
+        if ($softLimit['unit'] === 'pixels') {
+            $softLimit['font'] ??= 'title';
+        }
+
+        return $softLimit;
+    }
+
+    /**
+     * Whether a field's soft limit counts items (Matrix blocks or related elements) rather than text
+     *
+     * @param Field|string $field A field, or a field type
+     * @return bool
+     */
+    private function countsItems(Field|string $field): bool
+    {
+        return is_a($field, Matrix::class, true) || is_a($field, BaseRelationField::class, true);
+    }
+
+    /**
+     * Parse the contents of a soft limit marker
+     *
+     * The contents are a limit or range with an optional unit, followed by options,
+     * e.g. "150", "120-160", "40:words", "300 warn:70,90 over:120", "580px font:title preview",
+     * "2000 display:bar position:corner" or "150 de:190 fi:200".
+     *
+     * @param string $value The marker contents, without "[soft-limit:" and "]"
+     * @param string[] $errors Populated with validation errors, if any
+     * @param bool $countsItems Whether the marker is for a field that counts items (see [[countsItems()]]),
+     * where items are the only unit, and the default
+     * @return array|null Returns the parsed config, or null if invalid:
+     * `['limit' => 160, 'min' => 120, 'unit' => 'characters', 'warn' => [90], 'over' => null, 'font' => null, 'preview' => false, 'display' => null, 'position' => null, 'sites' => ['de' => ['limit' => 190, 'min' => null]]]`,
+     * where `warn`, `over`, `font`, `display` and `position` are null when the marker doesn't set them, and `sites` holds
+     * the overrides for site handles and languages (see [[getSiteKeys()]])
+     */
+    private function parseMarker(string $value, array &$errors = [], bool $countsItems = false): ?array
+    {
+        // Normalize spacing around separators, e.g. "120 - 160 : words" => "120-160:words"
+        $value = preg_replace('/\s*([:,\-])\s*/', '$1', trim($value));
+        $tokens = preg_split('/\s+/', $value);
+        $parts = explode(':', array_shift($tokens), 2);
+        $limitValue = $parts[0]; // e.g., "100", "120-160" or "580px"
+
+        $config = [
+            'limit' => null,
+            'min' => null,
+            'unit' => $countsItems ? 'items' : 'characters',
+            'warn' => null,
+            'over' => null,
+            'font' => null,
+            'preview' => false,
+            'display' => null,
+            'position' => null,
+            'sites' => [],
+        ];
+
+        // Pixel widths can be written with the unit attached, e.g. "580px"
+        if (preg_match('/^(.+?)px$/i', $limitValue, $pixelMatch)) {
+            $limitValue = $pixelMatch[1];
+
+            if (isset($parts[1]) && $this->normalizeUnit($parts[1]) !== 'pixels') {
+                $errors[] = Craft::t('soft-limit', 'Invalid soft limit “{value}”. A pixel width can’t be counted in {unit}', [
+                    'value' => "{$parts[0]}:{$parts[1]}",
+                    'unit' => $parts[1],
+                ]);
+            }
+
+            $parts[1] = 'pixels';
+        }
+
+        // Check the unit, if one was given
+        if (isset($parts[1])) {
+            $unit = $this->normalizeUnit($parts[1]);
+
+            if ($unit === null) {
+                $errors[] = Craft::t('soft-limit', 'Invalid soft limit unit “{unit}”. Must be one of: {units}', [
+                    'unit' => $parts[1],
+                    'units' => implode(', ', array_unique(self::UNITS)),
+                ]);
+            } elseif ($countsItems && $unit !== 'items') {
+                $errors[] = Craft::t('soft-limit', 'Invalid soft limit unit “{unit}”. Matrix and relation fields can only count items', ['unit' => $parts[1]]);
+            } elseif (!$countsItems && $unit === 'items') {
+                $errors[] = Craft::t('soft-limit', 'Invalid soft limit unit “{unit}”. Items can only be counted in Matrix and relation fields', ['unit' => $parts[1]]);
+            } else {
+                $config['unit'] = $unit;
+            }
+        }
+
+        $limits = $this->parseLimitValue($limitValue, $errors);
+
+        if ($limits !== null) {
+            $config = array_merge($config, $limits);
+        }
+
+        // Options, e.g. "warn:90", "over:120,150" or "de:190"
+        foreach ($tokens as $token) {
+            [$option, $optionValue] = array_pad(explode(':', $token, 2), 2, '');
+            $option = strtolower($option);
+
+            switch ($option) {
+                case 'warn':
+                case 'over':
+                    $thresholds = Settings::parseThresholds($optionValue, $option === 'warn' ? 1 : 101, $option === 'warn' ? 99 : 1000);
+
+                    if ($thresholds === null) {
+                        $errors[] = Craft::t('soft-limit', 'Invalid soft limit thresholds “{value}”. Must be comma-separated percentages between {min} and {max}', [
+                            'value' => $token,
+                            'min' => $option === 'warn' ? 1 : 101,
+                            'max' => $option === 'warn' ? 99 : 1000,
+                        ]);
+                    } else {
+                        $config[$option] = $thresholds;
+                    }
+                    break;
+                case 'font':
+                    $font = strtolower($optionValue);
+
+                    if (!in_array($font, self::FONTS, true)) {
+                        $errors[] = Craft::t('soft-limit', 'Invalid soft limit font “{value}”. Must be one of: {fonts}', [
+                            'value' => $token,
+                            'fonts' => implode(', ', self::FONTS),
+                        ]);
+                    } else {
+                        $config['font'] = $font;
+                    }
+                    break;
+                case 'preview':
+                    $config['preview'] = true;
+                    break;
+                case 'display':
+                case 'position':
+                    $choices = $option === 'display' ? self::DISPLAYS : self::POSITIONS;
+                    $choice = strtolower($optionValue);
+
+                    if (!in_array($choice, $choices, true)) {
+                        $errors[] = Craft::t('soft-limit', 'Invalid soft limit {option} “{value}”. Must be one of: {choices}', [
+                            'option' => $option,
+                            'value' => $token,
+                            'choices' => implode(', ', $choices),
+                        ]);
+                    } else {
+                        $config[$option] = $choice;
+                    }
+                    break;
+                default:
+                    // Overrides for a site or language, e.g. "de:190" or "de-CH:170-190"
+                    if (!in_array($option, $this->getSiteKeys(), true)) {
+                        $errors[] = Craft::t('soft-limit', 'Unknown soft limit option “{value}”. Options are warn, over, font, preview, display, position, or a site handle or language followed by a limit, e.g. de:190', ['value' => $token]);
+                        break;
+                    }
+
+                    if ($config['unit'] === 'pixels') {
+                        $optionValue = preg_replace('/px$/i', '', $optionValue);
+                    }
+
+                    $siteLimits = $this->parseLimitValue($optionValue, $errors);
+
+                    if ($siteLimits !== null) {
+                        $config['sites'][$option] = $siteLimits;
+                    }
+            }
+        }
+
+        // Fonts and search result previews only apply to pixel widths
+        if ($config['unit'] !== 'pixels') {
+            foreach (['font', 'preview'] as $option) {
+                if ($config[$option]) {
+                    $errors[] = Craft::t('soft-limit', 'The “{option}” option can only be used with pixel limits, e.g. {example}', [
+                        'option' => $option,
+                        'example' => "[soft-limit:580px {$option}" . ($option === 'font' ? ':title' : '') . ']',
+                    ]);
+                }
+            }
+        }
+
+        return empty($errors) ? $config : null;
+    }
+
+    /**
+     * Parse a limit or range, e.g. "150" or "120-160"
+     *
+     * @param string $limitValue
+     * @param string[] $errors Populated with validation errors, if any
+     * @return array|null Returns `['limit' => 160, 'min' => 120]`, where `min` is null for a single limit,
+     * or null if invalid
+     */
+    private function parseLimitValue(string $limitValue, array &$errors = []): ?array
+    {
+        // A range has a minimum and a maximum, e.g. "120-160"
+        $rangeParts = explode('-', $limitValue, 2);
+        $validatedLimits = [];
+
+        foreach ($rangeParts as $rangePart) {
+            // Check if the limit value is a valid integer
+            if (!ctype_digit($rangePart)) {
+                $errors[] = Craft::t('soft-limit', 'Invalid soft limit value “{value}”. Must be a positive integer or a range like 120-160', ['value' => $limitValue]);
+                return null;
+            }
+
+            $validatedLimit = $this->validateLimit((int)$rangePart);
+
+            if ($validatedLimit === null) {
+                $errors[] = Craft::t('soft-limit', 'Invalid soft limit value “{value}”. Must be between {min, number} and {max, number}', [
+                    'value' => $limitValue,
+                    'min' => 1,
+                    'max' => 100000,
+                ]);
+                return null;
+            }
+
+            $validatedLimits[] = $validatedLimit;
+        }
+
+        if (count($validatedLimits) === 2 && $validatedLimits[0] > $validatedLimits[1]) {
+            $errors[] = Craft::t('soft-limit', 'Invalid soft limit range “{value}”. The minimum must not be greater than the maximum', ['value' => $limitValue]);
+            return null;
+        }
+
+        return [
+            'limit' => end($validatedLimits),
+            'min' => count($validatedLimits) === 2 ? $validatedLimits[0] : null,
+        ];
+    }
+
+    /**
+     * Parse the contents of a group limit marker
+     *
+     * The contents are the group's name and limit, with an optional unit, e.g. "hero:120"
+     * or "features:1500:words". Every field with the same group name in the element's form
+     * counts towards the group's limit. Pixel widths can't be added up, so they can't be used.
+     *
+     * @param string $value The marker contents, without "[soft-limit-group:" and "]"
+     * @param string[] $errors Populated with validation errors, if any
+     * @return array|null Returns the parsed config, e.g. `['name' => 'hero', 'limit' => 120, 'unit' => 'characters']`,
+     * or null if invalid
+     */
+    private function parseGroupMarker(string $value, array &$errors = []): ?array
+    {
+        $parts = array_map('trim', explode(':', trim($value)));
+
+        if (count($parts) < 2 || count($parts) > 3 || !preg_match('/^[a-z0-9_-]+$/i', $parts[0])) {
+            $errors[] = Craft::t('soft-limit', 'Invalid group limit “{value}”. Must be a group name and a limit, with an optional unit, e.g. hero:120 or features:1500:words', ['value' => $value]);
+            return null;
+        }
+
+        $unit = 'characters';
+
+        if (isset($parts[2])) {
+            $unit = $this->normalizeUnit($parts[2]);
+
+            if ($unit === null || $unit === 'pixels' || $unit === 'items') {
+                $errors[] = Craft::t('soft-limit', 'Invalid group limit unit “{unit}”. Must be one of: {units}', [
+                    'unit' => $parts[2],
+                    'units' => implode(', ', array_diff(array_unique(self::UNITS), ['pixels', 'items'])),
+                ]);
+                return null;
+            }
+        }
+
+        $limit = ctype_digit($parts[1]) ? $this->validateLimit((int)$parts[1]) : null;
+
+        if ($limit === null) {
+            $errors[] = Craft::t('soft-limit', 'Invalid soft limit value “{value}”. Must be between {min, number} and {max, number}', [
+                'value' => $parts[1],
+                'min' => 1,
+                'max' => 100000,
+            ]);
+            return null;
+        }
+
+        return [
+            'name' => strtolower($parts[0]),
+            'limit' => $limit,
+            'unit' => $unit,
+        ];
+    }
+
+    /**
+     * Parse the phrases of a "[soft-require:…]" or "[soft-avoid:…]" marker, separated by "|"
+     *
+     * @param string $value e.g. "click here|synergy"
+     * @param array $errors Validation errors are added to this
+     * @return string[]|null Returns the phrases, or null if there are none
+     */
+    private function parsePhrases(string $value, array &$errors = []): ?array
+    {
+        $phrases = array_values(array_unique(array_filter(
+            array_map(fn(string $phrase) => preg_replace('/\s+/', ' ', trim($phrase)), explode('|', $value)),
+            fn(string $phrase) => $phrase !== ''
+        )));
+
+        if (empty($phrases)) {
+            $errors[] = Craft::t('soft-limit', 'Invalid phrases “{value}”. Must be one or more phrases separated by |, e.g. brand name or click here|synergy', ['value' => $value]);
+            return null;
+        }
+
+        return $phrases;
+    }
+
+    /**
+     * Get the keys that site overrides can use in markers: site handles, site languages
+     * (e.g. "de-ch") and their primary languages (e.g. "de"), in lowercase
+     *
+     * @return string[]
+     */
+    private function getSiteKeys(): array
+    {
+        $keys = [];
+
+        foreach (Craft::$app->getSites()->getAllSites(true) as $site) {
+            $language = strtolower($site->language);
+            array_push($keys, strtolower($site->handle), $language, explode('-', $language)[0]);
+        }
+
+        return array_values(array_unique($keys));
+    }
+
+    /**
+     * Apply the override for a site to a soft limit config, if it has one
+     *
+     * Overrides for the site's handle take precedence over overrides for its language
+     * (e.g. "de-ch"), which take precedence over overrides for its primary language (e.g. "de").
+     *
+     * @param array $softLimit A config returned by [[parseMarker()]]
+     * @param Site $site
+     * @return array The config with the site's `limit` and `min`, and `site` set to the matching key (or null if none matched)
+     */
+    private function applySiteLimit(array $softLimit, Site $site): array
+    {
+        $language = strtolower($site->language);
+        $softLimit['site'] = null;
+
+        foreach ([strtolower($site->handle), $language, explode('-', $language)[0]] as $key) {
+            if (isset($softLimit['sites'][$key])) {
+                $softLimit = array_merge($softLimit, $softLimit['sites'][$key]);
+                $softLimit['site'] = $key;
+                break;
+            }
+        }
+
+        return $softLimit;
+    }
+
+    /**
+     * Get the site an element is being edited in, falling back to the current site
+     *
+     * @param ElementInterface|null $element
+     * @return Site
+     */
+    private function getElementSite(?ElementInterface $element): Site
+    {
+        if ($element !== null && $element->siteId) {
+            $site = Craft::$app->getSites()->getSiteById($element->siteId, true);
+
+            if ($site) {
+                return $site;
+            }
+        }
+
+        return Craft::$app->getSites()->getCurrentSite();
+    }
+
+    /**
+     * Parse the contents of a soft limit marker in a Table field's instructions
+     *
+     * The contents are comma-separated column limits followed by options that apply to
+     * every column, e.g. "question=80,answer=60:words warn:90", where columns are
+     * referenced by handle. A marker without column handles (e.g. "100") applies to
+     * every text column.
+     *
+     * @param Table $field
+     * @param string $value The marker contents, without "[soft-limit:" and "]"
+     * @param string[] $errors Populated with validation errors, if any
+     * @return array|null Returns the parsed configs (see [[parseMarker()]]) keyed by column ID, or null if invalid
+     */
+    private function parseTableMarker(Table $field, string $value, array &$errors = []): ?array
+    {
+        $columns = $this->getTextColumns($field);
+        $targets = [];
+
+        foreach ($columns as $columnId => $column) {
+            $targets[strtolower($column['handle'] ?? $columnId)] = $columnId;
+        }
+
+        return $this->parseTargetedMarker($value, $targets, array_keys($columns), Craft::t('soft-limit', 'Single-line Text or Multi-line Text column'), $errors);
+    }
+
+    /**
+     * Parse the contents of a soft limit marker that can set limits for several targets
+     *
+     * The contents are comma-separated limits for named targets followed by options that
+     * apply to every target, e.g. "title=70,slug=60:words warn:90". A marker without
+     * target names (e.g. "100") applies to the default targets.
+     *
+     * @param string $value The marker contents, without "[soft-limit:" and "]"
+     * @param array|null $targets Target keys, indexed by their lowercase names in markers,
+     * or null to allow any name, which is then its own key
+     * @param string[] $defaultTargets The target keys that unnamed limits apply to
+     * @param string $targetLabel What targets are, for error messages, e.g. "column"
+     * @param string[] $errors Populated with validation errors, if any
+     * @return array|null Returns the parsed configs (see [[parseMarker()]]) keyed by target key, or null if invalid
+     */
+    private function parseTargetedMarker(string $value, ?array $targets, array $defaultTargets, string $targetLabel, array &$errors = []): ?array
+    {
+        $value = preg_replace('/\s*([:,=\-])\s*/', '$1', trim($value));
+        [$targetLimits, $options] = array_pad(preg_split('/\s+/', $value, 2), 2, '');
+
+        if (!str_contains($targetLimits, '=')) {
+            $softLimit = $this->parseMarker($value, $errors);
+
+            return $softLimit !== null ? array_fill_keys($defaultTargets, $softLimit) : null;
+        }
+
+        $softLimits = [];
+
+        foreach (explode(',', $targetLimits) as $targetLimit) {
+            [$name, $limit] = array_pad(explode('=', $targetLimit, 2), 2, '');
+            $target = $targets === null ? $name : $targets[strtolower($name)] ?? null;
+
+            if ($target === null) {
+                $errors[] = Craft::t('soft-limit', 'Unknown {target} “{name}”. Must be one of: {targets}', [
+                    'target' => $targetLabel,
+                    'name' => $name,
+                    'targets' => implode(', ', array_keys($targets)),
+                ]);
+                continue;
+            }
+
+            $softLimit = $this->parseMarker(trim("{$limit} {$options}"), $errors);
+
+            if ($softLimit !== null) {
+                $softLimits[$target] = $softLimit;
+            }
+        }
+
+        return empty($errors) ? $softLimits : null;
+    }
+
+    /**
+     * Key a Table field's column limits by column handle rather than ID, to show them by name
+     *
+     * @param Table $field
+     * @param array $softLimits Soft limit configs keyed by column ID
+     * @return array
+     */
+    private function keyByColumnHandle(Table $field, array $softLimits): array
+    {
+        $handles = array_map(fn($columnId) => $field->columns[$columnId]['handle'] ?? $columnId, array_keys($softLimits));
+
+        return array_combine($handles, $softLimits);
+    }
+
+    /**
+     * Get the columns of a Table field that can have soft limits
+     *
+     * @param Table $field
+     * @return array The Single-line Text and Multi-line Text columns, keyed by column ID
+     */
+    private function getTextColumns(Table $field): array
+    {
+        return array_filter(
+            $field->columns,
+            fn(array $column) => in_array($column['type'] ?? '', ['singleline', 'multiline'], true)
+        );
+    }
+
+    /**
+     * Remove any soft limit marker from text, e.g. a Table column heading
+     *
+     * @param string $text
+     * @return string
+     */
+    private function removeMarker(string $text): string
+    {
+        return trim(preg_replace('/\s*\[soft-limit:[^\]]*\]/i', '', $text));
+    }
+
+    /**
+     * Normalize a unit as written in the instructions to its canonical name
+     *
+     * @param string $rawUnit e.g. "word" or "Words"
+     * @return string|null Returns the canonical unit (e.g. "words") or null if unsupported
+     */
+    private function normalizeUnit(string $rawUnit): ?string
+    {
+        return self::UNITS[strtolower(trim($rawUnit))] ?? null;
     }
 
     /**
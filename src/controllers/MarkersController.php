@@ -0,0 +1,38 @@
+<?php
+
+namespace tallowandsons\softlimit\controllers;
+
+use Craft;
+use craft\web\Controller;
+use tallowandsons\softlimit\SoftLimit;
+use yii\web\Response;
+
+/**
+ * Markers controller
+ */
+class MarkersController extends Controller
+{
+    /**
+     * Check the soft limit markers in instructions as they're written in field settings
+     * or the field layout designer, so the previews there match what will be saved
+     *
+     * @return Response
+     */
+    public function actionPreview(): Response
+    {
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+        $this->requireCpRequest();
+        $this->requireAdmin(false);
+
+        $request = Craft::$app->getRequest();
+        $fieldId = $request->getBodyParam('fieldId');
+        $field = $fieldId ? Craft::$app->getFields()->getFieldById((int)$fieldId) : null;
+
+        return $this->asJson(SoftLimit::getInstance()->previewInstructions(
+            (string)$request->getBodyParam('instructions', ''),
+            $field ?? ($request->getBodyParam('fieldType') ?: null),
+            $request->getBodyParam('attribute') ?: null
+        ));
+    }
+}
@@ -4,10 +4,208 @@ namespace tallowandsons\softlimit\models;
 
 use Craft;
 use craft\base\Model;
+use tallowandsons\softlimit\SoftLimit;
 
 /**
  * Soft Limit settings
  */
 class Settings extends Model
 {
+    /**
+     * @var string Comma-separated percentages of the limit at which counters show a warning, e.g. "70,90".
+     * Can be overridden per field with the `warn:` marker option.
+     */
+    public string $warningThresholds = '80';
+
+    /**
+     * @var string Comma-separated percentages of the limit at which counters show a "way over" state, e.g. "120".
+     * Can be overridden per field with the `over:` marker option.
+     */
+    public string $overThresholds = '';
+
+    /**
+     * @var bool Whether saving an element with fields over their soft limit should open a review dialog first.
+     * The dialog lists the fields and lets authors go to them or save anyway.
+     */
+    public bool $reviewBeforeSave = false;
+
+    /**
+     * @var bool Whether element editors should show a panel listing every field with a soft limit.
+     */
+    public bool $showOverview = true;
+
+    /**
+     * @var bool Whether content beyond the limit should be highlighted in the field.
+     */
+    public bool $highlightOverflow = true;
+
+    /**
+     * @var bool Whether pasting text that takes a field over its limit should offer to keep only part of it.
+     */
+    public bool $pasteGuard = false;
+
+    /**
+     * @var string How counters show the count: `count` (e.g. "42/160"), `remaining` (e.g. "118 characters left"),
+     * `percentage`, `bar` or `ring`. Can be overridden per field with the `display:` marker option.
+     */
+    public string $counterDisplay = 'count';
+
+    /**
+     * @var string Where counters are placed: `below` the input, next to the field's `label`, or in the input's `corner`.
+     * Can be overridden per field with the `position:` marker option.
+     */
+    public string $counterPosition = 'below';
+
+    /**
+     * @var string The CSS font that pixel widths are measured in by default, and with `font:title`.
+     * Defaults to the font search engines use for result titles.
+     */
+    public string $titleFont = '20px Arial, sans-serif';
+
+    /**
+     * @var string The CSS font that pixel widths are measured in with `font:description`.
+     * Defaults to the font search engines use for result descriptions.
+     */
+    public string $descriptionFont = '14px Arial, sans-serif';
+
+    /**
+     * @var array|string Soft limits for fields, as an alternative to instruction markers. Each row has:
+     *
+     * - `field`: The field's UID
+     * - `layout`: The UID of the field layout the limit applies to, or an empty string for every layout
+     * - `limit`: The limit or range, e.g. `150` or `120-160`
+     * - `unit`: The counting unit, or an empty string for the field's default (characters or items)
+     * - `warn`: Comma-separated warning thresholds, or an empty string for the defaults
+     * - `over`: Comma-separated "way over" thresholds, or an empty string for the defaults
+     *
+     * Markers in instructions take precedence, and limits for a layout take precedence over limits for every layout.
+     */
+    public array|string $fieldLimits = [];
+
+    /**
+     * @inheritdoc
+     */
+    protected function defineRules(): array
+    {
+        return [
+            ['fieldLimits', 'filter', 'filter' => fn($value) => is_array($value) ? array_values($value) : []],
+            ['fieldLimits', 'validateFieldLimits'],
+            [['warningThresholds', 'overThresholds', 'titleFont', 'descriptionFont'], 'trim'],
+            [['titleFont', 'descriptionFont'], 'required'],
+            ['counterDisplay', 'in', 'range' => SoftLimit::DISPLAYS],
+            ['counterPosition', 'in', 'range' => SoftLimit::POSITIONS],
+            ['warningThresholds', 'validateThresholds', 'params' => ['min' => 1, 'max' => 99]],
+            ['overThresholds', 'validateThresholds', 'params' => ['min' => 101, 'max' => 1000]],
+        ];
+    }
+
+    /**
+     * Validates a comma-separated list of threshold percentages
+     *
+     * @param string $attribute
+     * @param array|null $params
+     */
+    public function validateThresholds(string $attribute, ?array $params): void
+    {
+        if (self::parseThresholds($this->$attribute, $params['min'], $params['max']) === null) {
+            $this->addError($attribute, Craft::t('soft-limit', 'Enter comma-separated percentages between {min} and {max}.', [
+                'min' => $params['min'],
+                'max' => $params['max'],
+            ]));
+        }
+    }
+
+    /**
+     * Validates the rows of the field limits table
+     *
+     * @param string $attribute
+     */
+    public function validateFieldLimits(string $attribute): void
+    {
+        foreach ($this->getFieldLimits() as $i => $row) {
+            $errors = [];
+
+            if (SoftLimit::getInstance()->parseFieldLimit($row, $errors) === null) {
+                foreach ($errors as $error) {
+                    $this->addError($attribute, Craft::t('soft-limit', 'Row {row}: {error}.', [
+                        'row' => $i + 1,
+                        'error' => $error,
+                    ]));
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the rows of the field limits table
+     *
+     * @return array[]
+     */
+    public function getFieldLimits(): array
+    {
+        return is_array($this->fieldLimits) ? array_values($this->fieldLimits) : [];
+    }
+
+    /**
+     * Returns the warning thresholds as percentages, in ascending order
+     *
+     * @return int[]
+     */
+    public function getWarningThresholds(): array
+    {
+        return self::parseThresholds($this->warningThresholds, 1, 99) ?? [80];
+    }
+
+    /**
+     * Returns the "way over" thresholds as percentages, in ascending order
+     *
+     * @return int[]
+     */
+    public function getOverThresholds(): array
+    {
+        return self::parseThresholds($this->overThresholds, 101, 1000) ?? [];
+    }
+
+    /**
+     * Returns the CSS font for the given `font:` marker option
+     *
+     * @param string $font "title" or "description"
+     * @return string
+     */
+    public function getFont(string $font): string
+    {
+        return $font === 'description' ? $this->descriptionFont : $this->titleFont;
+    }
+
+    /**
+     * Parses a comma-separated list of threshold percentages, e.g. "70,90"
+     *
+     * @param string $value
+     * @param int $min The lowest allowed percentage
+     * @param int $max The highest allowed percentage
+     * @return int[]|null Returns the unique percentages in ascending order, or null if any are invalid
+     */
+    public static function parseThresholds(string $value, int $min, int $max): ?array
+    {
+        $thresholds = [];
+
+        foreach (explode(',', $value) as $threshold) {
+            $threshold = trim($threshold);
+
+            if ($threshold === '') {
+                continue;
+            }
+
+            if (!ctype_digit($threshold) || (int)$threshold < $min || (int)$threshold > $max) {
+                return null;
+            }
+
+            $thresholds[] = (int)$threshold;
+        }
+
+        $thresholds = array_unique($thresholds);
+        sort($thresholds);
+
+        return $thresholds;
+    }
 }
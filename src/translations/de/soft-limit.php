@@ -0,0 +1,132 @@
+<?php
+
+return [
+    // Settings
+    'Field limits' => 'Feldlimits',
+    'Soft limits for fields, as an alternative to `[soft-limit:x]` markers in field instructions. Limits for a field layout take precedence over limits for everywhere, and markers take precedence over both. Limits can be followed by site overrides, e.g. `150 de:190`. Leave the unit and thresholds blank to use the defaults.' => 'Soft Limits für Felder, als Alternative zu `[soft-limit:x]`-Markierungen in den Feldanweisungen. Limits für ein Feldlayout haben Vorrang vor Limits für überall, und Markierungen haben Vorrang vor beiden. Auf Limits können Website-Überschreibungen folgen, z. B. `150 de:190`. Lassen Sie Einheit und Schwellenwerte leer, um die Standardwerte zu verwenden.',
+    'Field' => 'Feld',
+    'Field layout' => 'Feldlayout',
+    'Limit' => 'Limit',
+    'Unit' => 'Einheit',
+    'Add a limit' => 'Limit hinzufügen',
+    'Everywhere' => 'Überall',
+    'Entry type: {name}' => 'Eintragstyp: {name}',
+    'Volume: {name}' => 'Volume: {name}',
+    'Category group: {name}' => 'Kategoriegruppe: {name}',
+    'Default' => 'Standard',
+    'Characters' => 'Zeichen',
+    'Words' => 'Wörter',
+    'Sentences' => 'Sätze',
+    'Paragraphs' => 'Absätze',
+    'Lines' => 'Zeilen',
+    'Pixels' => 'Pixel',
+    'Items' => 'Elemente',
+    'Warning thresholds' => 'Warnschwellen',
+    'Comma-separated percentages of the limit at which counters show a warning, e.g. `70,90`. Fields can override this with `warn:`, e.g. `[soft-limit:300 warn:90]`.' => 'Kommagetrennte Prozentsätze des Limits, ab denen Zähler eine Warnung anzeigen, z. B. `70,90`. Felder können dies mit `warn:` überschreiben, z. B. `[soft-limit:300 warn:90]`.',
+    'Way over thresholds' => 'Schwellen für „weit darüber“',
+    'Comma-separated percentages of the limit at which counters show that the content is well past the limit, e.g. `120`. Leave blank to only show when the limit is exceeded. Fields can override this with `over:`, e.g. `[soft-limit:300 over:120,150]`.' => 'Kommagetrennte Prozentsätze des Limits, ab denen Zähler anzeigen, dass der Inhalt weit über dem Limit liegt, z. B. `120`. Leer lassen, um nur das Überschreiten des Limits anzuzeigen. Felder können dies mit `over:` überschreiben, z. B. `[soft-limit:300 over:120,150]`.',
+    'Enter comma-separated percentages between {min} and {max}.' => 'Geben Sie kommagetrennte Prozentsätze zwischen {min} und {max} ein.',
+    'Counter display' => 'Zähleranzeige',
+    'How counters show the count. Fields can override this with `display:`, e.g. `[soft-limit:2000 display:bar]`.' => 'Wie Zähler die Anzahl anzeigen. Felder können dies mit `display:` überschreiben, z. B. `[soft-limit:2000 display:bar]`.',
+    'Count and limit (42/160)' => 'Anzahl und Limit (42/160)',
+    'Remaining (118 characters left)' => 'Verbleibend (noch 118 Zeichen)',
+    'Percentage (26%)' => 'Prozent (26 %)',
+    'Progress bar' => 'Fortschrittsbalken',
+    'Progress ring' => 'Fortschrittsring',
+    'Counter position' => 'Zählerposition',
+    'Where counters are placed. Fields can override this with `position:`, e.g. `[soft-limit:70 position:label]`.' => 'Wo Zähler platziert werden. Felder können dies mit `position:` überschreiben, z. B. `[soft-limit:70 position:label]`.',
+    'Below the input' => 'Unter dem Eingabefeld',
+    'Next to the label' => 'Neben der Beschriftung',
+    'In the corner of the input' => 'In der Ecke des Eingabefelds',
+    'Title font' => 'Titelschrift',
+    'The CSS font that pixel widths are measured in, e.g. `[soft-limit:580px]`. Defaults to the font search engines use for result titles.' => 'Die CSS-Schrift, in der Pixelbreiten gemessen werden, z. B. `[soft-limit:580px]`. Standardmäßig die Schrift, die Suchmaschinen für Ergebnistitel verwenden.',
+    'Description font' => 'Beschreibungsschrift',
+    'The CSS font that pixel widths are measured in with `font:description`, e.g. `[soft-limit:920px font:description]`. Defaults to the font search engines use for result descriptions.' => 'Die CSS-Schrift, in der Pixelbreiten mit `font:description` gemessen werden, z. B. `[soft-limit:920px font:description]`. Standardmäßig die Schrift, die Suchmaschinen für Ergebnisbeschreibungen verwenden.',
+    'Review before saving' => 'Vor dem Speichern prüfen',
+    'Whether saving an entry with fields over their soft limit should open a dialog listing those fields first. Authors can go to a field or save anyway.' => 'Ob beim Speichern eines Eintrags mit Feldern über ihrem Soft Limit zuerst ein Dialog mit diesen Feldern geöffnet werden soll. Autoren können zu einem Feld springen oder trotzdem speichern.',
+    'Show overview' => 'Übersicht anzeigen',
+    'Whether entries should show a panel in the sidebar listing every field with a soft limit, with its count and status.' => 'Ob Einträge in der Seitenleiste eine Übersicht aller Felder mit Soft Limit samt Anzahl und Status anzeigen sollen.',
+    'Highlight overflow' => 'Überlauf hervorheben',
+    'Whether content beyond the limit should be highlighted in the field.' => 'Ob Inhalt jenseits des Limits im Feld hervorgehoben werden soll.',
+    'Paste guard' => 'Einfügeschutz',
+    'Whether pasting text that takes a field over its limit should offer to keep only the part that fits.' => 'Ob beim Einfügen von Text, der ein Feld über sein Limit bringt, angeboten werden soll, nur den passenden Teil zu behalten.',
+    'Row {row}: {error}.' => 'Zeile {row}: {error}.',
+    'Choose a field' => 'Wählen Sie ein Feld',
+    'Enter a limit for {field}' => 'Geben Sie ein Limit für {field} ein',
+
+    // Validation
+    'Multiple soft-limit markers found. Only one [soft-limit:X] marker is allowed per field.' => 'Mehrere Soft-Limit-Markierungen gefunden. Pro Feld ist nur eine [soft-limit:X]-Markierung erlaubt.',
+    'Soft limits can only be used on Single-line Text and Multi-line Text columns' => 'Soft Limits können nur für einzeilige und mehrzeilige Textspalten verwendet werden',
+    'Invalid soft limit “{value}”. A pixel width can’t be counted in {unit}' => 'Ungültiges Soft Limit „{value}“. Eine Pixelbreite kann nicht in {unit} gezählt werden',
+    'Invalid soft limit unit “{unit}”. Must be one of: {units}' => 'Ungültige Soft-Limit-Einheit „{unit}“. Erlaubt sind: {units}',
+    'Invalid soft limit unit “{unit}”. Matrix and relation fields can only count items' => 'Ungültige Soft-Limit-Einheit „{unit}“. Matrix- und Relationsfelder können nur Elemente zählen',
+    'Invalid soft limit unit “{unit}”. Items can only be counted in Matrix and relation fields' => 'Ungültige Soft-Limit-Einheit „{unit}“. Elemente können nur in Matrix- und Relationsfeldern gezählt werden',
+    'Invalid soft limit thresholds “{value}”. Must be comma-separated percentages between {min} and {max}' => 'Ungültige Soft-Limit-Schwellen „{value}“. Erlaubt sind kommagetrennte Prozentsätze zwischen {min} und {max}',
+    'Invalid soft limit font “{value}”. Must be one of: {fonts}' => 'Ungültige Soft-Limit-Schrift „{value}“. Erlaubt sind: {fonts}',
+    'Invalid soft limit {option} “{value}”. Must be one of: {choices}' => 'Ungültige Soft-Limit-Option {option} „{value}“. Erlaubt sind: {choices}',
+    'Unknown soft limit option “{value}”. Options are warn, over, font, preview, display, position, or a site handle or language followed by a limit, e.g. de:190' => 'Unbekannte Soft-Limit-Option „{value}“. Optionen sind warn, over, font, preview, display, position oder ein Website-Handle bzw. eine Sprache gefolgt von einem Limit, z. B. de:190',
+    'The “{option}” option can only be used with pixel limits, e.g. {example}' => 'Die Option „{option}“ kann nur mit Pixel-Limits verwendet werden, z. B. {example}',
+    'Invalid soft limit value “{value}”. Must be a positive integer or a range like 120-160' => 'Ungültiger Soft-Limit-Wert „{value}“. Erlaubt ist eine positive ganze Zahl oder ein Bereich wie 120-160',
+    'Invalid soft limit value “{value}”. Must be between {min, number} and {max, number}' => 'Ungültiger Soft-Limit-Wert „{value}“. Erlaubt sind Werte zwischen {min, number} und {max, number}',
+    'Invalid soft limit range “{value}”. The minimum must not be greater than the maximum' => 'Ungültiger Soft-Limit-Bereich „{value}“. Das Minimum darf nicht größer als das Maximum sein',
+    'Unknown {target} “{name}”. Must be one of: {targets}' => 'Unbekannte(s) {target} „{name}“. Erlaubt sind: {targets}',
+    'attribute' => 'Attribut',
+    'Single-line Text or Multi-line Text column' => 'einzeilige oder mehrzeilige Textspalte',
+    'Invalid group limit “{value}”. Must be a group name and a limit, with an optional unit, e.g. hero:120 or features:1500:words' => 'Ungültiges Gruppenlimit „{value}“. Erlaubt sind ein Gruppenname und ein Limit mit optionaler Einheit, z. B. hero:120 oder features:1500:words',
+    'Invalid group limit unit “{unit}”. Must be one of: {units}' => 'Ungültige Gruppenlimit-Einheit „{unit}“. Erlaubt sind: {units}',
+    'Group limits can only be used on fields with a single text input or editor' => 'Gruppenlimits können nur für Felder mit einem einzelnen Texteingabefeld oder Editor verwendet werden',
+    'Multiple group limit markers found. A field can only be in one group.' => 'Mehrere Gruppenlimit-Markierungen gefunden. Ein Feld kann nur zu einer Gruppe gehören.',
+    'Invalid phrases “{value}”. Must be one or more phrases separated by |, e.g. brand name or click here|synergy' => 'Ungültige Begriffe „{value}“. Erlaubt sind ein oder mehrere durch | getrennte Begriffe, z. B. brand name oder click here|synergy',
+    'Required and avoided phrases can only be used on fields with a single text input or editor' => 'Erforderliche und zu vermeidende Begriffe können nur für Felder mit einem einzelnen Texteingabefeld oder Editor verwendet werden',
+
+    // Counters
+    'Limit for {site}' => 'Limit für {site}',
+    'Default limit ({site} has no limit of its own)' => 'Standardlimit ({site} hat kein eigenes Limit)',
+    '{count, plural, =1{character} other{characters}}' => '{count, plural, =1{Zeichen} other{Zeichen}}',
+    '{count, plural, =1{word} other{words}}' => '{count, plural, =1{Wort} other{Wörter}}',
+    '{count, plural, =1{sentence} other{sentences}}' => '{count, plural, =1{Satz} other{Sätze}}',
+    '{count, plural, =1{paragraph} other{paragraphs}}' => '{count, plural, =1{Absatz} other{Absätze}}',
+    '{count, plural, =1{line} other{lines}}' => '{count, plural, =1{Zeile} other{Zeilen}}',
+    '{count, plural, =1{pixel} other{pixels}}' => '{count, plural, =1{Pixel} other{Pixel}}',
+    '{count, plural, =1{item} other{items}}' => '{count, plural, =1{Element} other{Elemente}}',
+    '{amount} left' => 'noch {amount}',
+    '{amount} over' => '{amount} zu viel',
+    '{amount} to go' => 'noch {amount} nötig',
+    'Approaching limit' => 'Limit fast erreicht',
+    'Over limit' => 'Über dem Limit',
+    'Well over limit' => 'Weit über dem Limit',
+    'Below minimum' => 'Unter dem Minimum',
+    'Within target range' => 'Im Zielbereich',
+    'Within limit' => 'Innerhalb des Limits',
+    'At limit' => 'Limit erreicht',
+    'Approaching limit: {amount} left' => 'Limit fast erreicht: noch {amount}',
+    'Over limit by {amount}' => 'Limit um {amount} überschritten',
+    'Below minimum: {amount} more needed' => 'Unter dem Minimum: noch {amount} nötig',
+    '{field} › {column} (row {row})' => '{field} › {column} (Zeile {row})',
+    'Soft limits' => 'Soft Limits',
+    'All within limits' => 'Alle innerhalb der Limits',
+    '{count} over' => '{count} darüber',
+    '{count, plural, =1{# field over its soft limit} other{# fields over their soft limit}}' => '{count, plural, =1{# Feld über seinem Soft Limit} other{# Felder über ihrem Soft Limit}}',
+    '{count, plural, =1{# field is over its soft limit} other{# fields are over their soft limit}}' => '{count, plural, =1{# Feld ist über seinem Soft Limit} other{# Felder sind über ihrem Soft Limit}}',
+    '{count, plural, =1{# field is over its soft limit. Save anyway?} other{# fields are over their soft limit. Save anyway?}}' => '{count, plural, =1{# Feld ist über seinem Soft Limit. Trotzdem speichern?} other{# Felder sind über ihrem Soft Limit. Trotzdem speichern?}}',
+    'You can still save, or go back and tighten things up first.' => 'Sie können trotzdem speichern oder zuerst zurückgehen und kürzen.',
+    'Go to field' => 'Zum Feld',
+    'Cancel' => 'Abbrechen',
+    'Save anyway' => 'Trotzdem speichern',
+    'Search result preview' => 'Vorschau des Suchergebnisses',
+    'Trim to limit' => 'Auf Limit kürzen',
+    'Trim' => 'Kürzen',
+    'After trimming: {count}' => 'Nach dem Kürzen: {count}',
+    'The pasted text takes this field {amount} over its limit.' => 'Der eingefügte Text bringt dieses Feld {amount} über sein Limit.',
+    'Keep all' => 'Alles behalten',
+    'Keep first {amount}' => 'Die ersten {amount} behalten',
+    'Keep up to last full sentence' => 'Bis zum letzten vollständigen Satz behalten',
+    'Total for {group}' => 'Gesamt für {group}',
+    '{group}: {share} of {total}' => '{group}: {share} von {total}',
+    'Include “{phrase}”' => '„{phrase}“ verwenden',
+    'Avoid “{phrase}”' => '„{phrase}“ vermeiden',
+
+    // Field settings
+    '{target}: {limit}' => '{target}: {limit}',
+    'Soft limit: {limit}' => 'Soft Limit: {limit}',
+];
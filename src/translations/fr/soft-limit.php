@@ -0,0 +1,136 @@
+<?php
+
+return [
+    // Settings
+    'Field limits' => 'Limites des champs',
+    'Soft limits for fields, as an alternative to `[soft-limit:x]` markers in field instructions. Limits for a field layout take precedence over limits for everywhere, and markers take precedence over both. Limits can be followed by site overrides, e.g. `150 de:190`. Leave the unit and thresholds blank to use the defaults.' => 'Limites souples des champs, comme alternative aux marqueurs `[soft-limit:x]` dans les instructions des champs. Les limites d’une mise en page de champs priment sur les limites « partout », et les marqueurs priment sur les deux. Les limites peuvent être suivies de limites par site, p. ex. `150 de:190`. Laissez l’unité et les seuils vides pour utiliser les valeurs par défaut.',
+    'Field' => 'Champ',
+    'Field layout' => 'Mise en page des champs',
+    'Limit' => 'Limite',
+    'Unit' => 'Unité',
+    'Add a limit' => 'Ajouter une limite',
+    'Everywhere' => 'Partout',
+    'Entry type: {name}' => 'Type d’entrée : {name}',
+    'Volume: {name}' => 'Volume : {name}',
+    'Category group: {name}' => 'Groupe de catégories : {name}',
+    'Default' => 'Par défaut',
+    'Characters' => 'Caractères',
+    'Words' => 'Mots',
+    'Sentences' => 'Phrases',
+    'Paragraphs' => 'Paragraphes',
+    'Lines' => 'Lignes',
+    'Pixels' => 'Pixels',
+    'Items' => 'Éléments',
+    'Warning thresholds' => 'Seuils d’avertissement',
+    'Comma-separated percentages of the limit at which counters show a warning, e.g. `70,90`. Fields can override this with `warn:`, e.g. `[soft-limit:300 warn:90]`.' => 'Pourcentages de la limite, séparés par des virgules, à partir desquels les compteurs affichent un avertissement, p. ex. `70,90`. Les champs peuvent les remplacer avec `warn:`, p. ex. `[soft-limit:300 warn:90]`.',
+    'Way over thresholds' => 'Seuils de dépassement important',
+    'Comma-separated percentages of the limit at which counters show that the content is well past the limit, e.g. `120`. Leave blank to only show when the limit is exceeded. Fields can override this with `over:`, e.g. `[soft-limit:300 over:120,150]`.' => 'Pourcentages de la limite, séparés par des virgules, à partir desquels les compteurs indiquent que le contenu dépasse largement la limite, p. ex. `120`. Laissez vide pour n’indiquer que le dépassement de la limite. Les champs peuvent les remplacer avec `over:`, p. ex. `[soft-limit:300 over:120,150]`.',
+    'Enter comma-separated percentages between {min} and {max}.' => 'Saisissez des pourcentages entre {min} et {max}, séparés par des virgules.',
+    'Counter display' => 'Affichage du compteur',
+    'How counters show the count. Fields can override this with `display:`, e.g. `[soft-limit:2000 display:bar]`.' => 'La façon dont les compteurs affichent le décompte. Les champs peuvent la remplacer avec `display:`, p. ex. `[soft-limit:2000 display:bar]`.',
+    'Count and limit (42/160)' => 'Décompte et limite (42/160)',
+    'Remaining (118 characters left)' => 'Restant (118 caractères restants)',
+    'Percentage (26%)' => 'Pourcentage (26 %)',
+    'Progress bar' => 'Barre de progression',
+    'Progress ring' => 'Anneau de progression',
+    'Counter position' => 'Position du compteur',
+    'Where counters are placed. Fields can override this with `position:`, e.g. `[soft-limit:70 position:label]`.' => 'L’emplacement des compteurs. Les champs peuvent le remplacer avec `position:`, p. ex. `[soft-limit:70 position:label]`.',
+    'Below the input' => 'Sous le champ de saisie',
+    'Next to the label' => 'À côté du libellé',
+    'In the corner of the input' => 'Dans le coin du champ de saisie',
+    'Title font' => 'Police des titres',
+    'The CSS font that pixel widths are measured in, e.g. `[soft-limit:580px]`. Defaults to the font search engines use for result titles.' => 'La police CSS dans laquelle les largeurs en pixels sont mesurées, p. ex. `[soft-limit:580px]`. Par défaut, la police utilisée par les moteurs de recherche pour les titres des résultats.',
+    'Description font' => 'Police des descriptions',
+    'The CSS font that pixel widths are measured in with `font:description`, e.g. `[soft-limit:920px font:description]`. Defaults to the font search engines use for result descriptions.' => 'La police CSS dans laquelle les largeurs en pixels sont mesurées avec `font:description`, p. ex. `[soft-limit:920px font:description]`. Par défaut, la police utilisée par les moteurs de recherche pour les descriptions des résultats.',
+    'Review before saving' => 'Vérifier avant d’enregistrer',
+    'Whether saving an entry with fields over their soft limit should open a dialog listing those fields first. Authors can go to a field or save anyway.' => 'Si l’enregistrement d’une entrée dont des champs dépassent leur limite souple doit d’abord ouvrir une fenêtre listant ces champs. Les auteurs peuvent aller à un champ ou enregistrer quand même.',
+    'Show overview' => 'Afficher l’aperçu',
+    'Whether entries should show a panel in the sidebar listing every field with a soft limit, with its count and status.' => 'Si les entrées doivent afficher dans la barre latérale un panneau listant chaque champ ayant une limite souple, avec son décompte et son état.',
+    'Highlight overflow' => 'Surligner le dépassement',
+    'Whether content beyond the limit should be highlighted in the field.' => 'Si le contenu au-delà de la limite doit être surligné dans le champ.',
+    'Paste guard' => 'Protection du collage',
+    'Whether pasting text that takes a field over its limit should offer to keep only the part that fits.' => 'Si le collage d’un texte qui fait dépasser la limite d’un champ doit proposer de ne garder que la partie qui tient.',
+    'Row {row}: {error}.' => 'Ligne {row} : {error}.',
+    'Choose a field' => 'Choisissez un champ',
+    'Enter a limit for {field}' => 'Saisissez une limite pour {field}',
+
+    // Validation
+    '{marker}: {error}.' => '{marker} : {error}.',
+    'Multiple soft-limit markers found. Only one [soft-limit:X] marker is allowed per field.' => 'Plusieurs marqueurs soft-limit trouvés. Un seul marqueur [soft-limit:X] est autorisé par champ.',
+    'Soft limits can only be used on Single-line Text and Multi-line Text columns' => 'Les limites souples ne peuvent être utilisées que sur les colonnes de texte sur une ligne ou sur plusieurs lignes',
+    'Invalid soft limit “{value}”. A pixel width can’t be counted in {unit}' => 'Limite souple « {value} » non valide. Une largeur en pixels ne peut pas être comptée en {unit}',
+    'Invalid soft limit unit “{unit}”. Must be one of: {units}' => 'Unité de limite souple « {unit} » non valide. Valeurs possibles : {units}',
+    'Invalid soft limit unit “{unit}”. Matrix and relation fields can only count items' => 'Unité de limite souple « {unit} » non valide. Les champs Matrix et de relation ne peuvent compter que des éléments',
+    'Invalid soft limit unit “{unit}”. Items can only be counted in Matrix and relation fields' => 'Unité de limite souple « {unit} » non valide. Les éléments ne peuvent être comptés que dans les champs Matrix et de relation',
+    'Invalid soft limit thresholds “{value}”. Must be comma-separated percentages between {min} and {max}' => 'Seuils de limite souple « {value} » non valides. Saisissez des pourcentages entre {min} et {max}, séparés par des virgules',
+    'Invalid soft limit font “{value}”. Must be one of: {fonts}' => 'Police de limite souple « {value} » non valide. Valeurs possibles : {fonts}',
+    'Invalid soft limit {option} “{value}”. Must be one of: {choices}' => 'Option {option} de limite souple « {value} » non valide. Valeurs possibles : {choices}',
+    'Unknown soft limit option “{value}”. Options are warn, over, font, preview, display, position, or a site handle or language followed by a limit, e.g. de:190' => 'Option de limite souple « {value} » inconnue. Les options sont warn, over, font, preview, display, position, ou un identifiant de site ou une langue suivi d’une limite, p. ex. de:190',
+    'The “{option}” option can only be used with pixel limits, e.g. {example}' => 'L’option « {option} » ne peut être utilisée qu’avec des limites en pixels, p. ex. {example}',
+    'Invalid soft limit value “{value}”. Must be a positive integer or a range like 120-160' => 'Valeur de limite souple « {value} » non valide. Saisissez un entier positif ou une plage comme 120-160',
+    'Invalid soft limit value “{value}”. Must be between {min, number} and {max, number}' => 'Valeur de limite souple « {value} » non valide. Saisissez une valeur entre {min, number} et {max, number}',
+    'Invalid soft limit range “{value}”. The minimum must not be greater than the maximum' => 'Plage de limite souple « {value} » non valide. Le minimum ne doit pas dépasser le maximum',
+    'Unknown {target} “{name}”. Must be one of: {targets}' => '{target} « {name} » inconnu(e). Valeurs possibles : {targets}',
+    'attribute' => 'Attribut',
+    'Single-line Text or Multi-line Text column' => 'Colonne de texte sur une ligne ou sur plusieurs lignes',
+    'Invalid group limit “{value}”. Must be a group name and a limit, with an optional unit, e.g. hero:120 or features:1500:words' => 'Limite de groupe « {value} » non valide. Saisissez un nom de groupe et une limite, avec une unité facultative, par ex. hero:120 ou features:1500:words',
+    'Invalid group limit unit “{unit}”. Must be one of: {units}' => 'Unité de limite de groupe « {unit} » non valide. Valeurs possibles : {units}',
+    'Group limits can only be used on fields with a single text input or editor' => 'Les limites de groupe ne peuvent être utilisées que sur des champs avec un seul champ de saisie ou éditeur de texte',
+    'Multiple group limit markers found. A field can only be in one group.' => 'Plusieurs marqueurs de limite de groupe trouvés. Un champ ne peut appartenir qu’à un seul groupe.',
+    'Invalid phrases “{value}”. Must be one or more phrases separated by |, e.g. brand name or click here|synergy' => 'Expressions « {value} » non valides. Saisissez une ou plusieurs expressions séparées par |, par ex. brand name ou click here|synergy',
+    'Required and avoided phrases can only be used on fields with a single text input or editor' => 'Les expressions requises et à éviter ne peuvent être utilisées que sur des champs avec un seul champ de saisie ou éditeur de texte',
+
+    // Counters
+    'Limit for {site}' => 'Limite pour {site}',
+    'Default limit ({site} has no limit of its own)' => 'Limite par défaut ({site} n’a pas de limite propre)',
+    '{count, plural, =1{character} other{characters}}' => '{count, plural, =1{caractère} other{caractères}}',
+    '{count, plural, =1{word} other{words}}' => '{count, plural, =1{mot} other{mots}}',
+    '{count, plural, =1{sentence} other{sentences}}' => '{count, plural, =1{phrase} other{phrases}}',
+    '{count, plural, =1{paragraph} other{paragraphs}}' => '{count, plural, =1{paragraphe} other{paragraphes}}',
+    '{count, plural, =1{line} other{lines}}' => '{count, plural, =1{ligne} other{lignes}}',
+    '{count, plural, =1{pixel} other{pixels}}' => '{count, plural, =1{pixel} other{pixels}}',
+    '{count, plural, =1{item} other{items}}' => '{count, plural, =1{élément} other{éléments}}',
+    '{amount}px' => '{amount} px',
+    '{count}/{limit}px' => '{count}/{limit} px',
+    '{amount} left' => 'encore {amount}',
+    '{amount} over' => '{amount} de trop',
+    '{amount} to go' => 'encore {amount} nécessaires',
+    'Approaching limit' => 'Limite bientôt atteinte',
+    'Over limit' => 'Limite dépassée',
+    'Well over limit' => 'Limite largement dépassée',
+    'Below minimum' => 'Sous le minimum',
+    'Within target range' => 'Dans la plage visée',
+    'Within limit' => 'Dans la limite',
+    'At limit' => 'Limite atteinte',
+    'Approaching limit: {amount} left' => 'Limite bientôt atteinte : encore {amount}',
+    'Over limit by {amount}' => 'Limite dépassée de {amount}',
+    'Below minimum: {amount} more needed' => 'Sous le minimum : encore {amount} nécessaires',
+    '{field}: {message}' => '{field} : {message}',
+    '{field} › {column} (row {row})' => '{field} › {column} (ligne {row})',
+    'Soft limits' => 'Limites souples',
+    'All within limits' => 'Tout est dans les limites',
+    '{count} over' => '{count} en dépassement',
+    '{count, plural, =1{# field over its soft limit} other{# fields over their soft limit}}' => '{count, plural, =1{# champ dépasse sa limite souple} other{# champs dépassent leur limite souple}}',
+    '{count, plural, =1{# field is over its soft limit} other{# fields are over their soft limit}}' => '{count, plural, =1{# champ dépasse sa limite souple} other{# champs dépassent leur limite souple}}',
+    '{count, plural, =1{# field is over its soft limit. Save anyway?} other{# fields are over their soft limit. Save anyway?}}' => '{count, plural, =1{# champ dépasse sa limite souple. Enregistrer quand même ?} other{# champs dépassent leur limite souple. Enregistrer quand même ?}}',
+    'You can still save, or go back and tighten things up first.' => 'Vous pouvez tout de même enregistrer, ou revenir en arrière pour raccourcir d’abord.',
+    'Go to field' => 'Aller au champ',
+    'Cancel' => 'Annuler',
+    'Save anyway' => 'Enregistrer quand même',
+    'Search result preview' => 'Aperçu du résultat de recherche',
+    'Trim to limit' => 'Raccourcir à la limite',
+    'Trim' => 'Raccourcir',
+    'After trimming: {count}' => 'Après raccourcissement : {count}',
+    'The pasted text takes this field {amount} over its limit.' => 'Le texte collé fait dépasser la limite de ce champ de {amount}.',
+    'Keep all' => 'Tout garder',
+    'Keep first {amount}' => 'Garder le début ({amount})',
+    'Keep up to last full sentence' => 'Garder jusqu’à la dernière phrase complète',
+    'Total for {group}' => 'Total pour {group}',
+    '{group}: {share} of {total}' => '{group} : {share} sur {total}',
+    'Include “{phrase}”' => 'Inclure « {phrase} »',
+    'Avoid “{phrase}”' => 'Éviter « {phrase} »',
+
+    // Field settings
+    '{target}: {limit}' => '{target} : {limit}',
+    'Soft limit: {limit}' => 'Limite souple : {limit}',
+];
@@ -0,0 +1,132 @@
+<?php
+
+return [
+    // Settings
+    'Field limits' => 'Veldlimieten',
+    'Soft limits for fields, as an alternative to `[soft-limit:x]` markers in field instructions. Limits for a field layout take precedence over limits for everywhere, and markers take precedence over both. Limits can be followed by site overrides, e.g. `150 de:190`. Leave the unit and thresholds blank to use the defaults.' => 'Zachte limieten voor velden, als alternatief voor `[soft-limit:x]`-markeringen in de veldinstructies. Limieten voor een veldindeling gaan voor limieten voor overal, en markeringen gaan voor beide. Limieten kunnen gevolgd worden door limieten per site, bijv. `150 de:190`. Laat de eenheid en drempels leeg om de standaardwaarden te gebruiken.',
+    'Field' => 'Veld',
+    'Field layout' => 'Veldindeling',
+    'Limit' => 'Limiet',
+    'Unit' => 'Eenheid',
+    'Add a limit' => 'Limiet toevoegen',
+    'Everywhere' => 'Overal',
+    'Entry type: {name}' => 'Itemtype: {name}',
+    'Volume: {name}' => 'Volume: {name}',
+    'Category group: {name}' => 'Categoriegroep: {name}',
+    'Default' => 'Standaard',
+    'Characters' => 'Tekens',
+    'Words' => 'Woorden',
+    'Sentences' => 'Zinnen',
+    'Paragraphs' => 'Alinea’s',
+    'Lines' => 'Regels',
+    'Pixels' => 'Pixels',
+    'Items' => 'Items',
+    'Warning thresholds' => 'Waarschuwingsdrempels',
+    'Comma-separated percentages of the limit at which counters show a warning, e.g. `70,90`. Fields can override this with `warn:`, e.g. `[soft-limit:300 warn:90]`.' => 'Kommagescheiden percentages van de limiet waarbij tellers een waarschuwing tonen, bijv. `70,90`. Velden kunnen dit overschrijven met `warn:`, bijv. `[soft-limit:300 warn:90]`.',
+    'Way over thresholds' => 'Drempels voor ruim over de limiet',
+    'Comma-separated percentages of the limit at which counters show that the content is well past the limit, e.g. `120`. Leave blank to only show when the limit is exceeded. Fields can override this with `over:`, e.g. `[soft-limit:300 over:120,150]`.' => 'Kommagescheiden percentages van de limiet waarbij tellers tonen dat de inhoud ruim over de limiet gaat, bijv. `120`. Laat leeg om alleen te tonen dat de limiet is overschreden. Velden kunnen dit overschrijven met `over:`, bijv. `[soft-limit:300 over:120,150]`.',
+    'Enter comma-separated percentages between {min} and {max}.' => 'Voer kommagescheiden percentages tussen {min} en {max} in.',
+    'Counter display' => 'Tellerweergave',
+    'How counters show the count. Fields can override this with `display:`, e.g. `[soft-limit:2000 display:bar]`.' => 'Hoe tellers het aantal tonen. Velden kunnen dit overschrijven met `display:`, bijv. `[soft-limit:2000 display:bar]`.',
+    'Count and limit (42/160)' => 'Aantal en limiet (42/160)',
+    'Remaining (118 characters left)' => 'Resterend (nog 118 tekens)',
+    'Percentage (26%)' => 'Percentage (26%)',
+    'Progress bar' => 'Voortgangsbalk',
+    'Progress ring' => 'Voortgangsring',
+    'Counter position' => 'Tellerpositie',
+    'Where counters are placed. Fields can override this with `position:`, e.g. `[soft-limit:70 position:label]`.' => 'Waar tellers worden geplaatst. Velden kunnen dit overschrijven met `position:`, bijv. `[soft-limit:70 position:label]`.',
+    'Below the input' => 'Onder het invoerveld',
+    'Next to the label' => 'Naast het label',
+    'In the corner of the input' => 'In de hoek van het invoerveld',
+    'Title font' => 'Lettertype voor titels',
+    'The CSS font that pixel widths are measured in, e.g. `[soft-limit:580px]`. Defaults to the font search engines use for result titles.' => 'Het CSS-lettertype waarin pixelbreedtes worden gemeten, bijv. `[soft-limit:580px]`. Standaard het lettertype dat zoekmachines voor resultaattitels gebruiken.',
+    'Description font' => 'Lettertype voor beschrijvingen',
+    'The CSS font that pixel widths are measured in with `font:description`, e.g. `[soft-limit:920px font:description]`. Defaults to the font search engines use for result descriptions.' => 'Het CSS-lettertype waarin pixelbreedtes met `font:description` worden gemeten, bijv. `[soft-limit:920px font:description]`. Standaard het lettertype dat zoekmachines voor resultaatbeschrijvingen gebruiken.',
+    'Review before saving' => 'Controleren voor opslaan',
+    'Whether saving an entry with fields over their soft limit should open a dialog listing those fields first. Authors can go to a field or save anyway.' => 'Of het opslaan van een item met velden boven hun zachte limiet eerst een venster met die velden moet openen. Auteurs kunnen naar een veld gaan of toch opslaan.',
+    'Show overview' => 'Overzicht tonen',
+    'Whether entries should show a panel in the sidebar listing every field with a soft limit, with its count and status.' => 'Of items in de zijbalk een paneel moeten tonen met elk veld met een zachte limiet, met het aantal en de status.',
+    'Highlight overflow' => 'Overschrijding markeren',
+    'Whether content beyond the limit should be highlighted in the field.' => 'Of inhoud voorbij de limiet in het veld gemarkeerd moet worden.',
+    'Paste guard' => 'Plakbeveiliging',
+    'Whether pasting text that takes a field over its limit should offer to keep only the part that fits.' => 'Of bij het plakken van tekst die een veld over de limiet brengt, moet worden aangeboden om alleen het deel te behouden dat past.',
+    'Row {row}: {error}.' => 'Rij {row}: {error}.',
+    'Choose a field' => 'Kies een veld',
+    'Enter a limit for {field}' => 'Voer een limiet in voor {field}',
+
+    // Validation
+    'Multiple soft-limit markers found. Only one [soft-limit:X] marker is allowed per field.' => 'Meerdere soft-limit-markeringen gevonden. Per veld is maar één [soft-limit:X]-markering toegestaan.',
+    'Soft limits can only be used on Single-line Text and Multi-line Text columns' => 'Zachte limieten kunnen alleen worden gebruikt op kolommen met tekst van één regel of meerdere regels',
+    'Invalid soft limit “{value}”. A pixel width can’t be counted in {unit}' => 'Ongeldige zachte limiet ‘{value}’. Een pixelbreedte kan niet in {unit} worden geteld',
+    'Invalid soft limit unit “{unit}”. Must be one of: {units}' => 'Ongeldige eenheid ‘{unit}’. Kies uit: {units}',
+    'Invalid soft limit unit “{unit}”. Matrix and relation fields can only count items' => 'Ongeldige eenheid ‘{unit}’. Matrix- en relatievelden kunnen alleen items tellen',
+    'Invalid soft limit unit “{unit}”. Items can only be counted in Matrix and relation fields' => 'Ongeldige eenheid ‘{unit}’. Items kunnen alleen in Matrix- en relatievelden worden geteld',
+    'Invalid soft limit thresholds “{value}”. Must be comma-separated percentages between {min} and {max}' => 'Ongeldige drempels ‘{value}’. Voer kommagescheiden percentages tussen {min} en {max} in',
+    'Invalid soft limit font “{value}”. Must be one of: {fonts}' => 'Ongeldig lettertype ‘{value}’. Kies uit: {fonts}',
+    'Invalid soft limit {option} “{value}”. Must be one of: {choices}' => 'Ongeldige {option} ‘{value}’. Kies uit: {choices}',
+    'Unknown soft limit option “{value}”. Options are warn, over, font, preview, display, position, or a site handle or language followed by a limit, e.g. de:190' => 'Onbekende optie ‘{value}’. Opties zijn warn, over, font, preview, display, position, of een site-handle of taal gevolgd door een limiet, bijv. de:190',
+    'The “{option}” option can only be used with pixel limits, e.g. {example}' => 'De optie ‘{option}’ kan alleen met pixellimieten worden gebruikt, bijv. {example}',
+    'Invalid soft limit value “{value}”. Must be a positive integer or a range like 120-160' => 'Ongeldige limiet ‘{value}’. Voer een positief geheel getal of een bereik zoals 120-160 in',
+    'Invalid soft limit value “{value}”. Must be between {min, number} and {max, number}' => 'Ongeldige limiet ‘{value}’. Voer een waarde tussen {min, number} en {max, number} in',
+    'Invalid soft limit range “{value}”. The minimum must not be greater than the maximum' => 'Ongeldig bereik ‘{value}’. Het minimum mag niet groter zijn dan het maximum',
+    'Unknown {target} “{name}”. Must be one of: {targets}' => 'Onbekende {target} ‘{name}’. Kies uit: {targets}',
+    'attribute' => 'attribuut',
+    'Single-line Text or Multi-line Text column' => 'kolom met tekst van één regel of meerdere regels',
+    'Invalid group limit “{value}”. Must be a group name and a limit, with an optional unit, e.g. hero:120 or features:1500:words' => 'Ongeldige groepslimiet ‘{value}’. Voer een groepsnaam en een limiet in, met een optionele eenheid, bijv. hero:120 of features:1500:words',
+    'Invalid group limit unit “{unit}”. Must be one of: {units}' => 'Ongeldige eenheid ‘{unit}’. Kies uit: {units}',
+    'Group limits can only be used on fields with a single text input or editor' => 'Groepslimieten kunnen alleen worden gebruikt voor velden met één tekstinvoer of editor',
+    'Multiple group limit markers found. A field can only be in one group.' => 'Meerdere groepslimiet-markeringen gevonden. Een veld kan maar in één groep zitten.',
+    'Invalid phrases “{value}”. Must be one or more phrases separated by |, e.g. brand name or click here|synergy' => 'Ongeldige woorden ‘{value}’. Voer een of meer woorden in, gescheiden door |, bijv. brand name of click here|synergy',
+    'Required and avoided phrases can only be used on fields with a single text input or editor' => 'Verplichte en te vermijden woorden kunnen alleen worden gebruikt voor velden met één tekstinvoer of editor',
+
+    // Counters
+    'Limit for {site}' => 'Limiet voor {site}',
+    'Default limit ({site} has no limit of its own)' => 'Standaardlimiet ({site} heeft geen eigen limiet)',
+    '{count, plural, =1{character} other{characters}}' => '{count, plural, =1{teken} other{tekens}}',
+    '{count, plural, =1{word} other{words}}' => '{count, plural, =1{woord} other{woorden}}',
+    '{count, plural, =1{sentence} other{sentences}}' => '{count, plural, =1{zin} other{zinnen}}',
+    '{count, plural, =1{paragraph} other{paragraphs}}' => '{count, plural, =1{alinea} other{alinea’s}}',
+    '{count, plural, =1{line} other{lines}}' => '{count, plural, =1{regel} other{regels}}',
+    '{count, plural, =1{pixel} other{pixels}}' => '{count, plural, =1{pixel} other{pixels}}',
+    '{count, plural, =1{item} other{items}}' => '{count, plural, =1{item} other{items}}',
+    '{amount} left' => 'nog {amount}',
+    '{amount} over' => '{amount} te veel',
+    '{amount} to go' => 'nog {amount} nodig',
+    'Approaching limit' => 'Limiet bijna bereikt',
+    'Over limit' => 'Over de limiet',
+    'Well over limit' => 'Ruim over de limiet',
+    'Below minimum' => 'Onder het minimum',
+    'Within target range' => 'Binnen het doelbereik',
+    'Within limit' => 'Binnen de limiet',
+    'At limit' => 'Limiet bereikt',
+    'Approaching limit: {amount} left' => 'Limiet bijna bereikt: nog {amount}',
+    'Over limit by {amount}' => '{amount} over de limiet',
+    'Below minimum: {amount} more needed' => 'Onder het minimum: nog {amount} nodig',
+    '{field} › {column} (row {row})' => '{field} › {column} (rij {row})',
+    'Soft limits' => 'Zachte limieten',
+    'All within limits' => 'Alles binnen de limieten',
+    '{count} over' => '{count} erover',
+    '{count, plural, =1{# field over its soft limit} other{# fields over their soft limit}}' => '{count, plural, =1{# veld over de zachte limiet} other{# velden over de zachte limiet}}',
+    '{count, plural, =1{# field is over its soft limit} other{# fields are over their soft limit}}' => '{count, plural, =1{# veld is over de zachte limiet} other{# velden zijn over de zachte limiet}}',
+    '{count, plural, =1{# field is over its soft limit. Save anyway?} other{# fields are over their soft limit. Save anyway?}}' => '{count, plural, =1{# veld is over de zachte limiet. Toch opslaan?} other{# velden zijn over de zachte limiet. Toch opslaan?}}',
+    'You can still save, or go back and tighten things up first.' => 'Je kunt toch opslaan, of eerst teruggaan om in te korten.',
+    'Go to field' => 'Naar veld',
+    'Cancel' => 'Annuleren',
+    'Save anyway' => 'Toch opslaan',
+    'Search result preview' => 'Voorbeeld van zoekresultaat',
+    'Trim to limit' => 'Inkorten tot limiet',
+    'Trim' => 'Inkorten',
+    'After trimming: {count}' => 'Na inkorten: {count}',
+    'The pasted text takes this field {amount} over its limit.' => 'De geplakte tekst brengt dit veld {amount} over de limiet.',
+    'Keep all' => 'Alles behouden',
+    'Keep first {amount}' => 'Eerste {amount} behouden',
+    'Keep up to last full sentence' => 'Behouden tot laatste volledige zin',
+    'Total for {group}' => 'Totaal voor {group}',
+    '{group}: {share} of {total}' => '{group}: {share} van {total}',
+    'Include “{phrase}”' => '‘{phrase}’ gebruiken',
+    'Avoid “{phrase}”' => '‘{phrase}’ vermijden',
+
+    // Field settings
+    '{target}: {limit}' => '{target}: {limit}',
+    'Soft limit: {limit}' => 'Zachte limiet: {limit}',
+];
@@ -1,17 +1,62 @@
 /**
  * Soft Limit Plugin JavaScript
- * Handles character counting for text fields with soft limits
+ * Handles character, word, sentence, paragraph, line and pixel width counting for text fields with soft limits,
+ * and item counting for Matrix and relation fields
  */
 
 // Configuration constants
 const CONFIG = {
     RETRY_DELAY: 500,
+    MAX_RETRIES: 10,
     MUTATION_DELAY: 100,
     DEBOUNCE_FAST: 50,
     DEBOUNCE_MUTATION: 100,
     PASTE_DELAY: 50,
     CKINSTANCE_CHECK_DELAY: 100,
     MAX_LIMIT: 100000,
+    DEFAULT_UNIT: "characters",
+    DEFAULT_WARNING_THRESHOLDS: [80],
+    DEFAULT_OVER_THRESHOLDS: [],
+    DEFAULT_FONT: "20px Arial, sans-serif",
+    PREVIEW_ELLIPSIS: "…",
+    ANNOUNCE_DELAY: 100,
+    LAZY_ROOT_MARGIN: "200px",
+    IDLE_BATCH_SIZE: 10,
+    IDLE_TIMEOUT: 1000,
+};
+
+// DOM events dispatched from a field's container when its counter changes
+const EVENTS = {
+    UPDATE: "softlimit:update",
+    WARNING: "softlimit:warning",
+    EXCEEDED: "softlimit:exceeded",
+    RECOVERED: "softlimit:recovered",
+};
+
+// Counting units, with their names as plural messages (see I18n.t())
+const UNITS = {
+    characters: "{count, plural, =1{character} other{characters}}",
+    words: "{count, plural, =1{word} other{words}}",
+    sentences: "{count, plural, =1{sentence} other{sentences}}",
+    paragraphs: "{count, plural, =1{paragraph} other{paragraphs}}",
+    lines: "{count, plural, =1{line} other{lines}}",
+    pixels: "{count, plural, =1{pixel} other{pixels}}",
+    items: "{count, plural, =1{item} other{items}}",
+};
+
+// Ways counters can show the count, and where they can be placed (the first of each is the default)
+const DISPLAYS = ["count", "remaining", "percentage", "bar", "ring"];
+const POSITIONS = ["below", "label", "corner"];
+
+// Text for each counter state, read out with the count so that the state isn't conveyed by colour alone
+// (translated when shown)
+const STATE_LABELS = {
+    normal: "",
+    warning: "Approaching limit",
+    exceeded: "Over limit",
+    "way-over": "Well over limit",
+    "too-short": "Below minimum",
+    good: "Within target range",
 };
 
 class SoftLimitManager {
@@ -21,13 +66,99 @@ class SoftLimitManager {
     constructor() {
         this.counters = new Map();
         this.retryTimers = new Set();
+        this.settings = window.softLimitSettings || {};
+        this.saveReview = null;
+        this.overviews = new Map();
+        this.tables = new Map();
+        this.announcer = null;
+        this.fieldSettings = null;
+
+        // Counters waiting to be initialized until their field is scrolled into view (or
+        // its tab is opened), or the browser is idle, keyed by the element being observed
+        this.pending = new Map();
+        this.lazyObserver = null;
+        this.idleCallback = null;
+
+        // How many times counters have waited for their input to turn up
+        this.retryCounts = new WeakMap();
+
+        this.mutationSubscription = null;
+        this.scanTimer = null;
         this.init();
     }
 
+    /**
+     * Registers a handler for a field type, so that third-party rich text editors can be
+     * counted without changes to this file. Handlers registered later take precedence over
+     * earlier ones, so third-party handlers take precedence over the built-in ones.
+     *
+     * Handlers extend `SoftLimitManager.BaseHandler` (see its contract). Counters that were
+     * already set up when a handler is registered are set up again with it.
+     *
+     * @param {string|function(SoftLimitCounter): boolean} fieldClassOrMatcher - A field class,
+     *   e.g. "verbb\\vizy\\fields\\VizyField", or a function that's given each counter
+     *   (with its fieldClass, unit, input and counterElement) and returns whether the handler applies
+     * @param {typeof BaseHandler} HandlerClass
+     */
+    static registerHandler(fieldClassOrMatcher, HandlerClass) {
+        const matches =
+            typeof fieldClassOrMatcher === "string"
+                ? (counter) => counter.fieldClass === fieldClassOrMatcher
+                : fieldClassOrMatcher;
+
+        if (typeof matches !== "function") {
+            throw new TypeError(
+                "Soft Limit: registerHandler() expects a field class or a function."
+            );
+        }
+        if (
+            typeof HandlerClass !== "function" ||
+            !(HandlerClass.prototype instanceof BaseHandler)
+        ) {
+            throw new TypeError(
+                "Soft Limit: Handlers must extend SoftLimitManager.BaseHandler."
+            );
+        }
+
+        SoftLimitManager.handlers.unshift({ matches, HandlerClass });
+
+        window.softLimitManager?.reinitializeCounters(
+            (counter) =>
+                SoftLimitManager.getHandlerClass(counter) === HandlerClass &&
+                !(counter.handler instanceof HandlerClass)
+        );
+    }
+
+    /**
+     * Returns the handler class for a counter: the last registered one that applies to it.
+     * The built-in plain text handler applies to every counter, so there's always one.
+     * @param {SoftLimitCounter} counter
+     * @returns {typeof BaseHandler}
+     */
+    static getHandlerClass(counter) {
+        const entry = SoftLimitManager.handlers.find(({ matches }) => {
+            try {
+                return matches(counter);
+            } catch (error) {
+                console.error("Soft Limit: Handler matcher failed", error);
+                return false;
+            }
+        });
+        return entry ? entry.HandlerClass : PlainTextHandler;
+    }
+
     /**
      * Initializes the manager on DOM ready and sets up observers for dynamic content.
      */
     init() {
+        // Initialize counters as their fields come into view, where supported
+        if (typeof IntersectionObserver !== "undefined") {
+            this.lazyObserver = new IntersectionObserver(
+                (entries) => this.onIntersection(entries),
+                { rootMargin: CONFIG.LAZY_ROOT_MARGIN }
+            );
+        }
+
         // Initialize on DOM ready
         if (document.readyState === "loading") {
             document.addEventListener("DOMContentLoaded", () =>
@@ -39,6 +170,22 @@ class SoftLimitManager {
 
         // Also initialize when new content is added (for dynamic forms)
         this.observeNewCounters();
+
+        // Announce threshold crossings to screen readers
+        this.announcer = new SoftLimitAnnouncer(this);
+
+        // Preview markers as they're written in field settings
+        if (this.settings.fieldSettings) {
+            this.fieldSettings = new SoftLimitFieldSettings(
+                this,
+                this.settings.fieldSettings
+            );
+        }
+
+        // Optionally review fields over their limit before saving
+        if (this.settings.reviewBeforeSave) {
+            this.saveReview = new SoftLimitSaveReview(this);
+        }
     }
 
     /**
@@ -49,37 +196,225 @@ class SoftLimitManager {
             ".soft-limit-counter"
         );
         counterElements.forEach((counterElement) => {
-            if (!counterElement.dataset.initialized) {
-                this.initializeCounter(counterElement);
+            if (
+                !counterElement.dataset.initialized &&
+                !this.retryCounts.has(counterElement) &&
+                !this.isPending(counterElement)
+            ) {
+                this.queueCounter(counterElement);
+            }
+        });
+
+        // Table fields get a counter in every cell of their limited columns
+        document.querySelectorAll(".soft-limit-table").forEach((element) => {
+            if (!this.tables.has(element)) {
+                this.tables.set(element, new SoftLimitTable(this, element));
+            }
+        });
+        this.tables.forEach((table, element) => {
+            if (!element.isConnected) {
+                table.destroy();
+                this.tables.delete(element);
+            }
+        });
+
+        this.pruneCounters();
+
+        // Drop overviews for forms that have gone (e.g. closed slideouts)
+        this.overviews.forEach((overview, form) => {
+            if (!form.isConnected) {
+                overview.destroy();
+                this.overviews.delete(form);
+            }
+        });
+
+        this.fieldSettings?.scan();
+    }
+
+    /**
+     * Queues a counter to be initialized once its field comes into view, or when the browser
+     * is next idle, whichever is first. Counters are initialized straight away where
+     * IntersectionObserver isn't supported.
+     * @param {HTMLElement} counterElement
+     */
+    queueCounter(counterElement) {
+        // Counters that aren't matched to their input by ID are moved into place first, so
+        // that they're observed where they'll be seen. Counters in a group are initialized
+        // straight away, so that the group's total includes every field in it.
+        if (
+            !this.lazyObserver ||
+            counterElement.dataset.group ||
+            (!counterElement.dataset.input && !this.locateInput(counterElement))
+        ) {
+            this.initializeCounter(counterElement);
+            return;
+        }
+
+        const target = counterElement.closest(".field") || counterElement;
+        if (!this.pending.has(target)) {
+            this.pending.set(target, new Set());
+            this.lazyObserver.observe(target);
+        }
+        this.pending.get(target).add(counterElement);
+        this.scheduleIdleInitialization();
+    }
+
+    /**
+     * Whether a counter is waiting to be initialized.
+     * @param {HTMLElement} counterElement
+     * @returns {boolean}
+     */
+    isPending(counterElement) {
+        const target = counterElement.closest(".field") || counterElement;
+        return !!this.pending.get(target)?.has(counterElement);
+    }
+
+    /**
+     * Initializes the pending counters of fields that have come into view.
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    onIntersection(entries) {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                this.initializePending(entry.target);
             }
         });
     }
 
+    /**
+     * Initializes pending counters now, e.g. before their counts are reviewed on save.
+     * @param {Element} [container] - Only initialize counters within this element
+     * @param {number} [max] - The most counters to initialize
+     */
+    initializePending(container = document, max = Infinity) {
+        let initialized = 0;
+
+        for (const [target, counterElements] of this.pending) {
+            if (initialized >= max) {
+                break;
+            }
+            if (!container.contains(target)) {
+                continue;
+            }
+
+            this.pending.delete(target);
+            this.lazyObserver.unobserve(target);
+            counterElements.forEach((counterElement) => {
+                if (counterElement.isConnected) {
+                    this.initializeCounter(counterElement);
+                    initialized++;
+                }
+            });
+        }
+    }
+
+    /**
+     * Initializes pending counters in small batches whenever the browser is idle, so that
+     * counters in fields that haven't been seen yet (e.g. on other tabs) are ready for the
+     * overview, tab badges and save review without holding up the page.
+     */
+    scheduleIdleInitialization() {
+        if (this.idleCallback !== null) {
+            return;
+        }
+
+        const run = () => {
+            this.idleCallback = null;
+            this.initializePending(document, CONFIG.IDLE_BATCH_SIZE);
+            if (this.pending.size) {
+                this.scheduleIdleInitialization();
+            }
+        };
+
+        this.idleCallback =
+            typeof requestIdleCallback !== "undefined"
+                ? {
+                      idle: requestIdleCallback(run, {
+                          timeout: CONFIG.IDLE_TIMEOUT,
+                      }),
+                  }
+                : { timer: setTimeout(run, CONFIG.DEBOUNCE_MUTATION) };
+    }
+
     /**
      * Initializes a single counter element by creating its corresponding SoftLimitCounter instance.
      */
     initializeCounter(counterElement) {
+        // Counters that aren't matched to their input by ID are matched (and moved into place) here
+        if (
+            !counterElement.dataset.input &&
+            !this.locateInput(counterElement)
+        ) {
+            return;
+        }
+
         const inputId = counterElement.dataset.input;
         const rawLimit = counterElement.dataset.limit;
         const fieldClass = counterElement.dataset.fieldClass;
+        const handle = counterElement.dataset.handle || null;
+        const unit = this.validateUnit(counterElement.dataset.unit);
+        const rawMin = counterElement.dataset.min;
+        const font = counterElement.dataset.font || CONFIG.DEFAULT_FONT;
+        const preview = counterElement.dataset.preview || null;
+        const column = counterElement.dataset.column || null;
+        const columnHeading = counterElement.dataset.columnHeading || null;
+        const display = this.validateChoice(
+            counterElement.dataset.display,
+            DISPLAYS,
+            "display"
+        );
+        const position = this.validateChoice(
+            counterElement.dataset.position,
+            POSITIONS,
+            "position"
+        );
+        const warningThresholds = this.parseThresholds(
+            counterElement.dataset.warn,
+            CONFIG.DEFAULT_WARNING_THRESHOLDS
+        );
+        const overThresholds = this.parseThresholds(
+            counterElement.dataset.over,
+            CONFIG.DEFAULT_OVER_THRESHOLDS
+        );
 
-        // Determine if this is a rich text field from the field class
-        const isRichText = this.isRichTextField(fieldClass);
-
-        // Validate and sanitize the limit
-        const limit = this.validateLimit(rawLimit);
-        if (limit === null) {
+        // Validate and sanitize the limit (counters for fields that are only in a group,
+        // or only have phrase hints, have no limit of their own)
+        const noLimit = counterElement.dataset.noLimit === "true";
+        const limit = noLimit ? null : this.validateLimit(rawLimit);
+        if (limit === null && !noLimit) {
             console.warn(
                 `Soft Limit: Invalid limit "${rawLimit}" for field ${inputId}. Skipping initialization.`
             );
             return;
         }
 
+        // Validate the minimum of a range, ignoring it if it's invalid
+        let min = null;
+        if (rawMin !== undefined) {
+            min = this.validateLimit(rawMin);
+            if (min === null || min > limit) {
+                console.warn(
+                    `Soft Limit: Invalid minimum "${rawMin}" for field ${inputId}. Ignoring it.`
+                );
+                min = null;
+            }
+        }
+
         // Find the input element with improved error handling
         const input = this.findInputElement(inputId);
         if (!input) {
             // Only retry if we haven't already marked this as initialized
             if (!counterElement.dataset.initialized) {
+                const retries = this.retryCounts.get(counterElement) || 0;
+                this.retryCounts.set(counterElement, retries + 1);
+
+                if (retries >= CONFIG.MAX_RETRIES) {
+                    console.warn(
+                        `Soft Limit: Could not find the input for ${inputId}. Giving up.`
+                    );
+                    return;
+                }
+
                 // Retry with timeout tracking
                 const retryTimer = setTimeout(() => {
                     this.retryTimers.delete(retryTimer);
@@ -90,6 +425,8 @@ class SoftLimitManager {
             return;
         }
 
+        this.retryCounts.delete(counterElement);
+
         // Check if this counter is already initialized
         if (this.counters.has(inputId)) {
             // Destroy existing counter first
@@ -100,29 +437,210 @@ class SoftLimitManager {
         const fieldContainer =
             input.closest(".field") || counterElement.closest(".field");
 
+        // Counters in a group add to its total, and fields that are only in a group show their share of it
+        const group = counterElement.dataset.group
+            ? this.getGroup(input, counterElement)
+            : null;
+        const phrases = PhraseRules.fromData(
+            counterElement.dataset.require,
+            counterElement.dataset.avoid
+        );
+        if (noLimit && !group && !phrases) {
+            return;
+        }
+
         // Create counter instance
         const counter = new SoftLimitCounter(input, counterElement, {
             limit: limit,
-            isRichText: isRichText,
+            min: min,
+            unit: unit,
+            warningThresholds: warningThresholds,
+            overThresholds: overThresholds,
             fieldClass: fieldClass,
             fieldContainer: fieldContainer,
+            handle: handle,
+            inputId: inputId,
+            highlightOverflow: this.settings.highlightOverflow !== false,
+            pasteGuard: this.settings.pasteGuard === true,
+            font: font,
+            preview: preview,
+            column: column,
+            columnHeading: columnHeading,
+            display: display,
+            position: position,
+            group: group,
+            phrases: phrases,
+            noLimit: noLimit,
         });
 
         this.counters.set(inputId, counter);
         counterElement.dataset.initialized = "true";
+
+        if (group) {
+            group.add(counter);
+            this.attachOverview(group);
+        }
+        this.attachOverview(counter);
     }
 
     /**
-     * Determine if a field class represents a rich text field.
-     * @param {string} fieldClass - The field class name
-     * @returns {boolean} - True if it's a rich text field
+     * Returns the group a counter is in, creating it for the first field in the group. Groups
+     * are per form, so an element in a slideout has its own. The first field's group limit
+     * applies if fields in a group have different ones.
+     * @param {HTMLElement} input
+     * @param {HTMLElement} counterElement
+     * @returns {SoftLimitGroup|null} - Null if the group's limit is invalid
      */
-    isRichTextField(fieldClass) {
-        const richTextClasses = [
-            "craft\\ckeditor\\Field",
-            "craft\\redactor\\Field",
-        ];
-        return richTextClasses.includes(fieldClass);
+    getGroup(input, counterElement) {
+        const { group: name, groupLimit, groupUnit } = counterElement.dataset;
+        const scope = input.closest("form") || document.body;
+        const limit = this.validateLimit(groupLimit);
+        const unit = this.validateUnit(groupUnit);
+
+        const existing = Array.from(this.counters.values()).find(
+            (counter) =>
+                counter instanceof SoftLimitGroup &&
+                counter.scope === scope &&
+                counter.name === name
+        );
+        if (existing) {
+            if (existing.limit !== limit || existing.unit !== unit) {
+                console.warn(
+                    `Soft Limit: Fields in the "${name}" group have different limits. Using the first field's.`
+                );
+            }
+            return existing;
+        }
+
+        if (limit === null) {
+            console.warn(
+                `Soft Limit: Invalid limit "${groupLimit}" for the "${name}" group. Skipping it.`
+            );
+            return null;
+        }
+
+        const group = new SoftLimitGroup(this, scope, name, {
+            limit: limit,
+            unit: unit,
+            warningThresholds: this.parseThresholds(
+                counterElement.dataset.groupWarn,
+                CONFIG.DEFAULT_WARNING_THRESHOLDS
+            ),
+            overThresholds: this.parseThresholds(
+                counterElement.dataset.groupOver,
+                CONFIG.DEFAULT_OVER_THRESHOLDS
+            ),
+        });
+        this.counters.set(group.inputId, group);
+        return group;
+    }
+
+    /**
+     * Removes a group once the last field in it has gone.
+     * @param {SoftLimitGroup} group
+     */
+    removeGroup(group) {
+        group.destroy();
+        this.counters.delete(group.inputId);
+        this.overviews.forEach((overview) => overview.scheduleRender());
+    }
+
+    /**
+     * Finds the input for a counter that isn't matched to its input by ID. Counters for
+     * native fields (e.g. the title or slug) are matched by the field's data-attribute and
+     * moved into it, and counters for inputs within a field (e.g. a Link field's label)
+     * by a selector. The input is given an ID if it doesn't have one.
+     * @param {HTMLElement} counterElement
+     * @returns {boolean} - Whether the input was found
+     */
+    locateInput(counterElement) {
+        const { attribute, target } = counterElement.dataset;
+        const scope = counterElement.closest("form") || document;
+        const field = attribute
+            ? scope.querySelector(
+                  `.field[data-attribute="${CSS.escape(attribute)}"]`
+              )
+            : counterElement.closest(".field");
+        const input = field?.querySelector(
+            target || 'input[type="text"], textarea'
+        );
+        if (!input) {
+            return false;
+        }
+
+        if (!input.id) {
+            input.id = `soft-limit-input-${SoftLimitManager.nextInputId++}`;
+        }
+        counterElement.dataset.input = input.id;
+
+        if (!field.contains(counterElement)) {
+            (field.querySelector(":scope > .input") || input).after(
+                counterElement
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Destroys counters whose inputs have been removed from the page,
+     * e.g. with deleted table rows or closed slideouts.
+     */
+    pruneCounters() {
+        this.pending.forEach((counterElements, target) => {
+            if (!target.isConnected) {
+                this.lazyObserver.unobserve(target);
+                this.pending.delete(target);
+            }
+        });
+
+        let pruned = false;
+        this.counters.forEach((counter, inputId) => {
+            if (!counter.input.isConnected) {
+                counter.destroy();
+                this.counters.delete(inputId);
+                pruned = true;
+            }
+        });
+
+        if (pruned) {
+            this.overviews.forEach((overview) => overview.scheduleRender());
+        }
+    }
+
+    /**
+     * Sets up counters again, e.g. with a handler that was registered after they were set up.
+     * @param {function(SoftLimitCounter): boolean} predicate - Which counters to set up again
+     */
+    reinitializeCounters(predicate) {
+        Array.from(this.counters.values())
+            .filter(
+                (counter) =>
+                    !(counter instanceof SoftLimitGroup) && predicate(counter)
+            )
+            .forEach((counter) =>
+                this.initializeCounter(counter.counterElement)
+            );
+    }
+
+    /**
+     * Adds the counter to the overview of its form, creating the overview if needed.
+     * @param {SoftLimitCounter} counter
+     */
+    attachOverview(counter) {
+        const form = counter.input.closest("form");
+        if (!form) {
+            return;
+        }
+
+        let overview = this.overviews.get(form);
+        if (!overview) {
+            overview = new SoftLimitOverview(this, form, {
+                showPanel: this.settings.showOverview !== false,
+            });
+            this.overviews.set(form, overview);
+        }
+        overview.scheduleRender();
     }
 
     /**
@@ -153,6 +671,66 @@ class SoftLimitManager {
         return limit;
     }
 
+    /**
+     * Validates the counting unit, falling back to characters for missing or unknown units.
+     * @param {string} rawUnit - The unit from the counter's data attributes
+     * @returns {string} - A key of UNITS
+     */
+    validateUnit(rawUnit) {
+        if (!rawUnit) {
+            return CONFIG.DEFAULT_UNIT;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(UNITS, rawUnit)) {
+            console.warn(
+                `Soft Limit: Unknown unit "${rawUnit}". Counting ${CONFIG.DEFAULT_UNIT} instead.`
+            );
+            return CONFIG.DEFAULT_UNIT;
+        }
+
+        return rawUnit;
+    }
+
+    /**
+     * Validates a counter's display or position, falling back to the default for missing or unknown values.
+     * @param {string|undefined} rawChoice - The value from the counter's data attributes
+     * @param {string[]} choices - The allowed values, starting with the default
+     * @param {string} name - What the value is, for warnings
+     * @returns {string}
+     */
+    validateChoice(rawChoice, choices, name) {
+        if (!rawChoice) {
+            return choices[0];
+        }
+
+        if (!choices.includes(rawChoice)) {
+            console.warn(
+                `Soft Limit: Unknown ${name} "${rawChoice}". Using "${choices[0]}" instead.`
+            );
+            return choices[0];
+        }
+
+        return rawChoice;
+    }
+
+    /**
+     * Parses a comma-separated list of threshold percentages, e.g. "70,90".
+     * @param {string|undefined} rawThresholds - The thresholds from the counter's data attributes
+     * @param {number[]} fallback - Thresholds to use when none were given
+     * @returns {number[]} - Percentages in ascending order
+     */
+    parseThresholds(rawThresholds, fallback) {
+        if (rawThresholds === undefined) {
+            return fallback;
+        }
+
+        return rawThresholds
+            .split(",")
+            .map((threshold) => parseInt(threshold, 10))
+            .filter((threshold) => !isNaN(threshold) && threshold > 0)
+            .sort((a, b) => a - b);
+    }
+
     /**
      * Basic HTML sanitization to prevent XSS when counting characters.
      * @param {string} html
@@ -216,6 +794,117 @@ class SoftLimitManager {
         return null;
     }
 
+    /**
+     * Subscribes to counter events from every field on the page.
+     * @param {string} type - An event name, with or without the "softlimit:" prefix
+     * (e.g. "exceeded" or "softlimit:exceeded")
+     * @param {function(Object, CustomEvent)} callback - Called with the event detail and the event
+     * @returns {function} - Call to unsubscribe
+     */
+    on(type, callback) {
+        const eventName = type.startsWith("softlimit:")
+            ? type
+            : `softlimit:${type}`;
+        const listener = (event) => callback(event.detail, event);
+
+        document.addEventListener(eventName, listener);
+        return () => document.removeEventListener(eventName, listener);
+    }
+
+    /**
+     * Returns the current status of every counter and group on the page. Fields without
+     * a limit of their own (e.g. fields that are only in a group) are left out.
+     * @returns {Object[]} - One status per counter (see BaseHandler.getDetail())
+     */
+    getState() {
+        this.initializePending();
+        UpdateQueue.flush();
+
+        return Array.from(this.counters.values())
+            .filter((counter) => !counter.noLimit)
+            .map((counter) => counter.getState());
+    }
+
+    /**
+     * Returns the counters and groups whose inputs are inside the given container (e.g. an
+     * element editor form), leaving out fields without a limit of their own.
+     * @param {Element} container
+     * @returns {(SoftLimitCounter|SoftLimitGroup)[]}
+     */
+    getCounters(container) {
+        return Array.from(this.counters.values()).filter(
+            (counter) =>
+                !counter.noLimit &&
+                counter.input.isConnected &&
+                container.contains(counter.input)
+        );
+    }
+
+    /**
+     * Returns the field layout tab pane an element is in, if any.
+     * @param {Element} element
+     * @returns {Element|null}
+     */
+    getTabPane(element) {
+        const pane = element.closest('[role="tabpanel"], .flex-fields[id]');
+        return pane && pane.id ? pane : null;
+    }
+
+    /**
+     * Returns the tab link that shows a tab pane.
+     * @param {Element} pane
+     * @returns {Element|null}
+     */
+    getTab(pane) {
+        const id = CSS.escape(pane.id);
+        return document.querySelector(
+            `[role="tab"][aria-controls="${id}"], a[href="#${id}"]`
+        );
+    }
+
+    /**
+     * Brings a counter's field into view and focuses it, switching to its tab
+     * and expanding any collapsed Matrix blocks it's in.
+     * @param {SoftLimitCounter} counter
+     */
+    revealCounter(counter) {
+        const input = counter.input;
+
+        // Switch to the tab the field is on
+        const pane = this.getTabPane(input);
+        if (pane && pane.classList.contains("hidden")) {
+            const tab = this.getTab(pane);
+            if (tab) {
+                tab.click();
+            }
+        }
+
+        // Expand collapsed Matrix blocks, from the outermost in
+        const collapsedBlocks = [];
+        for (
+            let block = input.closest(".matrixblock.collapsed");
+            block;
+            block = block.parentElement?.closest(".matrixblock.collapsed")
+        ) {
+            collapsedBlocks.unshift(block);
+        }
+        collapsedBlocks.forEach((block) => {
+            const blockInstance =
+                typeof $ !== "undefined"
+                    ? $(block).data("block") || $(block).data("entry")
+                    : null;
+            if (blockInstance && typeof blockInstance.expand === "function") {
+                blockInstance.expand();
+            } else {
+                block.classList.remove("collapsed");
+            }
+        });
+
+        const target = counter.fieldContainer || input;
+        target.scrollIntoView({ behavior: "smooth", block: "center" });
+        counter.focus();
+    }
+
     /**
      * Manually refreshes all counter displays, useful for debugging or after content changes.
      */
@@ -232,482 +921,5306 @@ class SoftLimitManager {
         // Cancel any pending retry timers
         this.retryTimers.forEach((timer) => clearTimeout(timer));
         this.retryTimers.clear();
+        clearTimeout(this.scanTimer);
+
+        // Stop waiting to initialize counters
+        this.lazyObserver?.disconnect();
+        this.pending.clear();
+        if (this.idleCallback?.idle !== undefined) {
+            cancelIdleCallback(this.idleCallback.idle);
+        } else if (this.idleCallback) {
+            clearTimeout(this.idleCallback.timer);
+        }
+        this.idleCallback = null;
+
+        this.mutationSubscription?.disconnect();
+        this.mutationSubscription = null;
 
         // Destroy all counter instances
         this.counters.forEach((counter) => counter.destroy());
         this.counters.clear();
+
+        // Remove overviews and tab badges
+        this.overviews.forEach((overview) => overview.destroy());
+        this.overviews.clear();
+
+        // Stop watching Table fields for new rows
+        this.tables.forEach((table) => table.destroy());
+        this.tables.clear();
+
+        this.announcer?.destroy();
+        this.announcer = null;
+
+        this.fieldSettings?.destroy();
+        this.fieldSettings = null;
     }
 
     /**
-     * Sets up a MutationObserver to detect dynamically added fields and counters.
+     * Watches for dynamically added fields and counters through the shared observer. This
+     * also takes over removing markers from new fields' instructions from the cleanup
+     * script that runs before this one (see immediate-cleanup.js), so that only one
+     * observer watches the whole page.
      */
     observeNewCounters() {
-        // Watch for dynamically added content
-        const observer = new MutationObserver((mutations) => {
-            let shouldCheck = false;
-            let hasNewFields = false;
+        const cleanup = window.softLimitCleanup;
+        cleanup?.observer?.disconnect();
 
-            mutations.forEach((mutation) => {
-                if (
-                    mutation.type === "childList" &&
-                    mutation.addedNodes.length > 0
-                ) {
+        this.mutationSubscription = SharedMutationObserver.get().observe(
+            document.body,
+            (mutations) => {
+                let shouldCheck = false;
+                let hasNewFields = false;
+
+                mutations.forEach((mutation) => {
                     mutation.addedNodes.forEach((node) => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            // Check for new counter elements
-                            if (
-                                node.classList?.contains(
-                                    "soft-limit-counter"
-                                ) ||
-                                node.querySelector?.(".soft-limit-counter")
-                            ) {
-                                shouldCheck = true;
-                            }
-
-                            // Check for new input fields that might need counters
-                            if (
-                                node.classList?.contains("field") ||
-                                node.querySelector?.(".field") ||
-                                node.querySelector?.("input, textarea") ||
-                                node.classList?.contains("ck-editor") ||
-                                node.querySelector?.(".ck-editor") ||
-                                node.classList?.contains("redactor") ||
-                                node.querySelector?.(".redactor")
-                            ) {
-                                hasNewFields = true;
-                            }
+                        if (node.nodeType !== Node.ELEMENT_NODE) {
+                            return;
                         }
-                    });
-                }
-            });
-
-            if (shouldCheck || hasNewFields) {
-                // Use a longer delay for new fields to ensure they're fully initialized
-                const delay = hasNewFields
-                    ? CONFIG.RETRY_DELAY
-                    : CONFIG.MUTATION_DELAY;
-                setTimeout(() => {
-                    this.initializeCounters();
-                    // Also trigger an update on existing counters in case their content changed
-                    this.counters.forEach((counter) => counter.updateCounter());
-                }, delay);
-            }
-        });
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
-    }
-}
+                        // Check for new counter elements
+                        if (
+                            node.classList.contains("soft-limit-counter") ||
+                            node.querySelector(
+                                ".soft-limit-counter, .soft-limit-table"
+                            )
+                        ) {
+                            shouldCheck = true;
+                        }
 
-class SoftLimitCounter {
-    /**
-     * Creates a counter instance and selects the appropriate handler based on field type.
-     */
-    constructor(input, counterElement, options) {
-        this.input = input;
-        this.counterElement = counterElement;
-        this.limit = options.limit;
-        this.isRichText = options.isRichText;
-        this.fieldClass = options.fieldClass;
-        this.fieldContainer = options.fieldContainer;
+                        // Check for new input fields that might need counters
+                        if (
+                            node.classList.contains("field") ||
+                            node.querySelector(".field") ||
+                            node.querySelector("input, textarea") ||
+                            node.classList.contains("ck-editor") ||
+                            node.querySelector(".ck-editor") ||
+                            node.classList.contains("redactor") ||
+                            node.querySelector(".redactor")
+                        ) {
+                            hasNewFields = true;
 
-        // Create the appropriate handler
-        this.handler = this.createHandler();
+                            // Remove markers from the new fields' instructions before they're painted
+                            cleanup?.clean(node);
+                        }
+                    });
+                });
 
-        this.init();
+                if (shouldCheck || hasNewFields) {
+                    this.scheduleScan(
+                        // Use a longer delay for new fields to ensure they're fully initialized
+                        hasNewFields
+                            ? CONFIG.RETRY_DELAY
+                            : CONFIG.MUTATION_DELAY
+                    );
+                }
+            }
+        );
     }
 
     /**
-     * Factory method that creates the appropriate handler based on field class and editor type.
+     * Looks for new counters after a delay, so that a burst of DOM changes (e.g. a slideout
+     * or a Matrix block being added) only scans the page once.
+     * @param {number} delay
      */
-    createHandler() {
-        if (this.isPlainTextField()) {
-            return new PlainTextHandler(this.input, this.counterElement, {
-                limit: this.limit,
-                fieldContainer: this.fieldContainer,
-            });
-        }
-
-        if (this.isCKEditor5Field()) {
-            return new CKEditor5Handler(this.input, this.counterElement, {
-                limit: this.limit,
-                fieldContainer: this.fieldContainer,
-            });
-        }
-
-        if (this.isCKEditor4Field()) {
-            return new CKEditor4Handler(this.input, this.counterElement, {
-                limit: this.limit,
-                fieldContainer: this.fieldContainer,
-            });
-        }
-
-        if (this.isRedactorField()) {
-            return new RedactorHandler(this.input, this.counterElement, {
-                limit: this.limit,
-                fieldClass: this.fieldClass,
-                fieldContainer: this.fieldContainer,
-            });
+    scheduleScan(delay) {
+        if (this.scanTimer !== null) {
+            return;
         }
-
-        return new PlainTextHandler(this.input, this.counterElement, {
-            limit: this.limit,
-            fieldContainer: this.fieldContainer,
-        });
-    }
-
-    /**
-     * Checks if this is a plain text field (non-rich text).
-     */
-    isPlainTextField() {
-        return !this.isRichText;
+        this.scanTimer = setTimeout(() => {
+            this.scanTimer = null;
+            this.initializeCounters();
+            // Also queue an update of existing counters in case their content changed
+            this.counters.forEach((counter) =>
+                counter.handler.scheduleUpdate()
+            );
+        }, delay);
     }
+}
 
+// Counters for every cell of a Table field's limited columns
+class SoftLimitTable {
     /**
-     * Checks if this is a CKEditor 5 field.
+     * Adds counters to the table's cells, and keeps adding them as rows are added.
+     * Counters move with their cells when rows are reordered, and are destroyed
+     * along with removed rows.
+     * @param {SoftLimitManager} manager
+     * @param {HTMLElement} element - The element holding a counter template per limited column
      */
-    isCKEditor5Field() {
-        return this.fieldClass === "craft\\ckeditor\\Field";
-    }
+    constructor(manager, element) {
+        this.manager = manager;
+        this.element = element;
+        this.templates = Array.from(
+            element.querySelectorAll("template[data-column]")
+        );
+        this.cells = new WeakSet();
+        this.observer = null;
+        this.syncTimer = null;
 
-    /**
-     * Checks if this is a CKEditor 4 field by detecting active instances.
-     */
-    isCKEditor4Field() {
-        if (typeof CKEDITOR === "undefined") {
-            return false;
+        this.table = this.findTable();
+        if (!this.table) {
+            console.warn(
+                `Soft Limit: Could not find the table for ${element.dataset.input}.`
+            );
+            return;
         }
 
-        const ckInstance =
-            CKEDITOR.instances[this.input.id] ||
-            CKEDITOR.instances[this.input.name];
-        return !!ckInstance;
+        this.sync();
+
+        this.observer = SharedMutationObserver.get().observe(
+            this.table,
+            (mutations) => {
+                if (
+                    mutations.some((mutation) => mutation.type === "childList")
+                ) {
+                    clearTimeout(this.syncTimer);
+                    this.syncTimer = setTimeout(
+                        () => this.sync(),
+                        CONFIG.MUTATION_DELAY
+                    );
+                }
+            }
+        );
     }
 
     /**
-     * Checks if this is a Redactor field.
+     * Finds the field's editable table.
+     * @returns {HTMLTableElement|null}
      */
-    isRedactorField() {
+    findTable() {
+        const table = document.getElementById(this.element.dataset.input);
+        if (table && table.tagName === "TABLE") {
+            return table;
+        }
         return (
-            this.fieldClass === "craft\\fields\\Redactor" ||
-            this.fieldClass === "craft\\redactor\\Field"
+            this.element.closest(".field")?.querySelector("table.editable") ||
+            null
         );
     }
 
     /**
-     * Initializes the counter by delegating to the appropriate handler.
+     * Adds counters to cells that don't have one yet, and drops the counters of removed rows.
      */
-    init() {
-        this.handler.init();
-    }
+    sync() {
+        this.templates.forEach((template) => {
+            const column = template.dataset.column;
+            const inputs = this.table.querySelectorAll(
+                `tbody textarea[name$="[${column}]"], tbody input[type="text"][name$="[${column}]"]`
+            );
 
-    /**
-     * Updates the counter display by delegating to the handler.
-     */
-    updateCounter() {
-        this.handler.updateCounter();
+            inputs.forEach((input) => {
+                if (this.cells.has(input)) {
+                    return;
+                }
+                this.cells.add(input);
+
+                if (!input.id) {
+                    input.id = `${this.element.dataset.input}-cell-${SoftLimitTable.nextId++}`;
+                }
+
+                const counterElement =
+                    template.content.firstElementChild.cloneNode(true);
+                counterElement.dataset.input = input.id;
+                counterElement.classList.add("soft-limit-cell-counter");
+                input.after(counterElement);
+
+                this.manager.queueCounter(counterElement);
+            });
+        });
+
+        this.manager.pruneCounters();
     }
 
     /**
-     * Cleans up resources by destroying the handler.
+     * Stops watching the table. Cell counters are destroyed with the manager's other counters.
      */
     destroy() {
-        this.handler.destroy();
+        clearTimeout(this.syncTimer);
+        this.observer?.disconnect();
+        this.observer = null;
     }
 }
 
-// Base handler class with common functionality
-class BaseHandler {
+SoftLimitTable.nextId = 1;
+
+// Summary of every limited field in a form, plus badges on tabs with fields over their limit
+class SoftLimitOverview {
     /**
-     * Base constructor that sets up common properties and resource tracking for cleanup.
+     * Creates an overview for a form (the full-page element editor or a slideout),
+     * which re-renders whenever one of the form's counters changes.
+     * @param {SoftLimitManager} manager
+     * @param {HTMLFormElement} form
+     * @param {Object} options
+     * @param {boolean} options.showPanel - Whether to show the overview panel, as well as tab badges
      */
-    constructor(input, counterElement, options) {
-        this.input = input;
-        this.counterElement = counterElement;
-        this.limit = options.limit;
-        this.fieldContainer = options.fieldContainer;
+    constructor(manager, form, options) {
+        this.manager = manager;
+        this.form = form;
+        this.showPanel = options.showPanel;
+        this.panel = null;
+        this.frame = null;
 
-        // Track resources for cleanup
-        this.observers = [];
-        this.eventListeners = [];
-        this.timers = [];
+        // The counters in document order as of the last render, and the panel's row for each,
+        // so that a render after a count changes only updates what's changed
+        this.counters = [];
+        this.rows = new Map();
+
+        this.onUpdate = () => this.scheduleRender();
+        this.form.addEventListener(EVENTS.UPDATE, this.onUpdate);
     }
 
     /**
-     * Adds an event listener and tracks it for cleanup.
+     * Re-renders on the next animation frame, so a burst of updates only renders once.
      */
-    // Helper to track event listeners for cleanup
-    addEventListenerTracked(element, event, handler, options) {
-        element.addEventListener(event, handler, options);
-        this.eventListeners.push({ element, event, handler, options });
+    scheduleRender() {
+        if (this.frame) {
+            return;
+        }
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
     }
 
     /**
-     * Adds a MutationObserver and tracks it for cleanup.
+     * Renders the tab badges and the panel for the form's current counters.
      */
-    // Helper to track observers for cleanup
-    addObserverTracked(observer) {
-        this.observers.push(observer);
-        return observer;
+    render() {
+        const counters = this.getSortedCounters();
+
+        this.renderTabBadges(counters);
+
+        if (this.showPanel) {
+            this.renderPanel(counters);
+        }
     }
 
     /**
-     * Adds a timer and tracks it for cleanup.
+     * Returns the form's counters in document order. They're only sorted again when
+     * counters have been added, removed or moved (e.g. with reordered Table rows).
+     * @returns {SoftLimitCounter[]}
      */
-    // Helper to track timers for cleanup
-    addTimerTracked(timer) {
-        this.timers.push(timer);
-        return timer;
+    getSortedCounters() {
+        const counters = this.manager.getCounters(this.form);
+        const previous = new Set(this.counters);
+        const precedes = (a, b) =>
+            a.input.compareDocumentPosition(b.input) &
+            Node.DOCUMENT_POSITION_FOLLOWING;
+
+        if (
+            counters.length !== this.counters.length ||
+            counters.some((counter) => !previous.has(counter)) ||
+            this.counters.some(
+                (counter, index) =>
+                    index > 0 && !precedes(this.counters[index - 1], counter)
+            )
+        ) {
+            this.counters = counters.sort((a, b) => (precedes(a, b) ? -1 : 1));
+        }
+
+        return this.counters;
     }
 
     /**
-     * Creates a debounced version of a function to limit how often it can be called.
+     * Shows the number of fields over their limit on each tab.
+     * @param {SoftLimitCounter[]} counters
      */
-    // Debounce utility function
-    debounce(func, wait) {
-        let timeout;
-        return (...args) => {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func.apply(this, args), wait);
-        };
+    renderTabBadges(counters) {
+        const overByPane = new Map();
+        counters.forEach((counter) => {
+            const pane = this.manager.getTabPane(counter.input);
+            if (pane && counter.isOverLimit()) {
+                overByPane.set(pane, (overByPane.get(pane) || 0) + 1);
+            }
+        });
+
+        this.form
+            .querySelectorAll('[role="tabpanel"], .flex-fields[id]')
+            .forEach((pane) => {
+                const tab = pane.id ? this.manager.getTab(pane) : null;
+                if (!tab) {
+                    return;
+                }
+
+                const over = overByPane.get(pane) || 0;
+                let badge = tab.querySelector(".soft-limit-tab-badge");
+
+                if (!over) {
+                    badge?.remove();
+                    return;
+                }
+
+                if (!badge) {
+                    badge = document.createElement("span");
+                    badge.className = "soft-limit-tab-badge";
+                    tab.appendChild(badge);
+                }
+                badge.textContent = I18n.formatNumber(over);
+                badge.title = I18n.t(
+                    "{count, plural, =1{# field over its soft limit} other{# fields over their soft limit}}",
+                    { count: over }
+                );
+            });
     }
 
     /**
-     * Sanitizes HTML content by removing dangerous scripts and event handlers.
+     * Renders the panel listing every limited field with its count and status.
+     * @param {SoftLimitCounter[]} counters
      */
-    // Sanitize HTML content for character counting
-    sanitizeHtml(html) {
-        if (!html || typeof html !== "string") {
-            return "";
+    renderPanel(counters) {
+        if (!counters.length) {
+            this.panel?.remove();
+            this.panel = null;
+            this.rows.clear();
+            return;
         }
 
-        // Remove script tags and their content
-        let sanitized = html.replace(
-            /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
-            ""
-        );
+        if (!this.panel) {
+            this.panel = this.createPanel();
+        }
 
-        // Remove dangerous event handlers
-        sanitized = sanitized.replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, "");
+        const over = counters.filter((counter) => counter.isOverLimit()).length;
+        this.panel.querySelector(".soft-limit-overview-status").textContent =
+            over
+                ? I18n.t("{count} over", { count: I18n.formatNumber(over) })
+                : I18n.t("All within limits");
 
-        // Remove javascript: URLs
-        sanitized = sanitized.replace(
-            /href\s*=\s*["']javascript:[^"']*["']/gi,
-            ""
-        );
+        const list = this.panel.querySelector(".soft-limit-overview-list");
+        const items = counters.map((counter) => {
+            const row = this.rows.get(counter) || this.createRow(counter);
+            this.rows.set(counter, row);
 
-        return sanitized;
+            const label = counter.getLabel();
+            if (row.label.textContent !== label) {
+                row.label.textContent = label;
+            }
+            const text = counter.getCounterText();
+            if (row.count.textContent !== text) {
+                row.count.textContent = text;
+            }
+            row.count.className = [
+                "soft-limit-overview-count",
+                ...counter.handler.stateClasses,
+            ].join(" ");
+
+            return row.item;
+        });
+
+        // Drop the rows of removed counters, and only move rows when the order has changed
+        const current = new Set(counters);
+        this.rows.forEach((row, counter) => {
+            if (!current.has(counter)) {
+                this.rows.delete(counter);
+            }
+        });
+        if (
+            items.length !== list.children.length ||
+            items.some((item, index) => list.children[index] !== item)
+        ) {
+            list.replaceChildren(...items);
+        }
     }
 
     /**
-     * Strips HTML tags from content and returns the text length for character counting.
+     * Creates the panel row for a counter, which reveals its field when clicked.
+     * @param {SoftLimitCounter} counter
+     * @returns {{item: HTMLElement, label: HTMLElement, count: HTMLElement}}
      */
-    // Strip HTML tags and get text length
-    getTextFromHtml(html) {
-        const tempDiv = document.createElement("div");
-        tempDiv.textContent = ""; // Clear any content first
-        tempDiv.innerHTML = this.sanitizeHtml(html);
-        return (tempDiv.textContent || tempDiv.innerText || "").length;
+    createRow(counter) {
+        const item = document.createElement("li");
+
+        const row = document.createElement("button");
+        row.type = "button";
+        row.className = "soft-limit-overview-row";
+        row.addEventListener("click", () =>
+            this.manager.revealCounter(counter)
+        );
+
+        const label = document.createElement("span");
+        label.className = "soft-limit-overview-label";
+
+        const count = document.createElement("span");
+        count.className = "soft-limit-overview-count";
+
+        row.append(label, count);
+        item.appendChild(row);
+
+        return { item, label, count };
     }
 
     /**
-     * Updates the counter display with current character count and applies appropriate styling.
+     * Creates the panel in the editor's sidebar, or at the top of the form if it has no sidebar.
+     * @returns {HTMLElement}
      */
-    updateCounter() {
-        const length = this.getTextLength();
-        const percentage = (length / this.limit) * 100;
+    createPanel() {
+        const panel = document.createElement("details");
+        panel.className = "soft-limit-overview";
+        panel.open = true;
 
-        this.counterElement.textContent = `${length}/${this.limit}`;
+        const summary = document.createElement("summary");
+        const title = document.createElement("span");
+        title.className = "soft-limit-overview-title";
+        title.textContent = I18n.t("Soft limits");
+        const status = document.createElement("span");
+        status.className = "soft-limit-overview-status";
+        summary.append(title, status);
 
-        // Update styling based on limit
-        this.counterElement.classList.remove(
-            "soft-limit-warning",
-            "soft-limit-exceeded"
+        const list = document.createElement("ul");
+        list.className = "soft-limit-overview-list";
+
+        panel.append(summary, list);
+
+        const sidebar = this.form.querySelector(
+            "#details .details, .so-sidebar .details, .details"
         );
-        if (percentage >= 100) {
-            this.counterElement.classList.add("soft-limit-exceeded");
-        } else if (percentage >= 80) {
-            this.counterElement.classList.add("soft-limit-warning");
+        if (sidebar) {
+            panel.classList.add("meta");
+            sidebar.appendChild(panel);
+        } else {
+            const content =
+                this.form.querySelector("#content, .so-content") || this.form;
+            content.prepend(panel);
         }
+
+        return panel;
     }
 
     /**
-     * Initializes the handler by updating the counter and setting up event listeners.
+     * Removes the panel, tab badges and listeners.
      */
-    init() {
-        this.updateCounter();
-        this.setupEventListeners();
+    destroy() {
+        this.form.removeEventListener(EVENTS.UPDATE, this.onUpdate);
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.panel?.remove();
+        this.panel = null;
+        this.rows.clear();
+        this.counters = [];
+        this.form
+            .querySelectorAll(".soft-limit-tab-badge")
+            .forEach((badge) => badge.remove());
     }
+}
 
-    // Abstract methods to be implemented by subclasses
-    getTextLength() {
-        throw new Error("getTextLength must be implemented by subclass");
+// Review dialog shown when saving with fields over their soft limit
+class SoftLimitSaveReview {
+    /**
+     * Listens for form submissions and the save shortcut (Cmd/Ctrl+S) so that they can be
+     * reviewed. Listeners are bound in the capture phase on window, so they run before
+     * Craft's own handlers on the element editor form (full-page or slideout).
+     * @param {SoftLimitManager} manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.modal = null;
+
+        // Forms being saved after "Save anyway", whose submit isn't reviewed again
+        this.bypassForms = new WeakSet();
+
+        window.addEventListener(
+            "submit",
+            (event) => this.onSubmit(event),
+            true
+        );
+        window.addEventListener(
+            "keydown",
+            (event) => this.onKeydown(event),
+            true
+        );
     }
 
-    setupEventListeners() {
-        throw new Error("setupEventListeners must be implemented by subclass");
+    /**
+     * Reviews a form submission.
+     */
+    onSubmit(event) {
+        const form = event.target;
+        if (!(form instanceof HTMLFormElement)) {
+            return;
+        }
+
+        this.review(event, form, () =>
+            SoftLimitSaveReview.submit(form, event.submitter)
+        );
     }
 
     /**
-     * Cleans up all tracked resources including event listeners, observers, and timers.
+     * Reviews the save shortcut, which Craft handles without a native submit event.
      */
-    destroy() {
-        // Clean up event listeners
-        this.eventListeners.forEach(({ element, event, handler, options }) => {
-            element.removeEventListener(event, handler, options);
-        });
-        this.eventListeners = [];
+    onKeydown(event) {
+        if (
+            !(event.metaKey || event.ctrlKey) ||
+            event.altKey ||
+            (event.key || "").toLowerCase() !== "s"
+        ) {
+            return;
+        }
 
-        // Clean up observers
-        this.observers.forEach((observer) => observer.disconnect());
-        this.observers = [];
+        const form = this.getShortcutForm();
+        if (!form) {
+            return;
+        }
 
-        // Clean up timers
-        this.timers.forEach((timer) => clearTimeout(timer));
-        this.timers = [];
+        this.review(event, form, () => {
+            // Craft's own shortcut save keeps the author on the page. A synthetic keydown
+            // can't be replayed instead, as browsers leave its keyCode at 0.
+            const cp = typeof Craft !== "undefined" ? Craft.cp : null;
+            if (
+                cp?.$primaryForm?.get(0) === form &&
+                typeof cp.submitPrimaryForm === "function"
+            ) {
+                cp.submitPrimaryForm();
+            } else {
+                // Slideouts save when their form is submitted
+                SoftLimitSaveReview.submit(form);
+            }
+        });
     }
-}
 
-// Plain text handler
-class PlainTextHandler extends BaseHandler {
     /**
-     * Returns the character count from the textarea value.
+     * Submits a form the way the author would, so its submit listeners (e.g. the element editor's) run.
+     * @param {HTMLFormElement} form
+     * @param {?HTMLElement} [submitter] - The button the form was submitted with
      */
-    getTextLength() {
-        return (this.input.value || "").length;
+    static submit(form, submitter) {
+        if (typeof form.requestSubmit === "function") {
+            form.requestSubmit(submitter || undefined);
+        } else {
+            form.submit();
+        }
     }
 
     /**
-     * Sets up event listeners for plain text input fields.
+     * Returns the form the save shortcut applies to: the frontmost slideout, or the main form.
      */
-    setupEventListeners() {
-        const updateCounter = () => this.updateCounter();
-        const debouncedUpdate = this.debounce(
-            updateCounter,
-            CONFIG.DEBOUNCE_FAST
-        );
+    getShortcutForm() {
+        const slideouts = Array.from(
+            document.querySelectorAll("form.slideout")
+        ).filter((slideout) => slideout.offsetParent !== null);
+        if (slideouts.length) {
+            return slideouts[slideouts.length - 1];
+        }
+
+        return (
+            document.activeElement?.closest("form") ||
+            document.getElementById("main-form")
+        );
+    }
+
+    /**
+     * Holds back a save if the form has fields over their limit, and opens the review dialog.
+     * @param {Event} event - The submit or keydown event
+     * @param {HTMLFormElement} form
+     * @param {function} resubmit - Saves the form once the author chooses "Save anyway"
+     */
+    review(event, form, resubmit) {
+        if (this.bypassForms.has(form)) {
+            return;
+        }
+
+        // Counters that haven't been seen yet, or have updates queued, are counted first
+        this.manager.initializePending(form);
+        UpdateQueue.flush();
+
+        const exceeded = this.manager
+            .getCounters(form)
+            .filter((counter) => counter.isOverLimit());
+        if (!exceeded.length) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        this.open(exceeded, () => {
+            // The submit event fires while resubmitting, if it fires at all (an invalid input
+            // stops it), so the bypass never outlives this save
+            this.bypassForms.add(form);
+            try {
+                resubmit();
+            } finally {
+                this.bypassForms.delete(form);
+            }
+        });
+    }
+
+    /**
+     * Opens the review dialog listing the fields over their limit.
+     * @param {SoftLimitCounter[]} counters
+     * @param {function} saveAnyway
+     */
+    open(counters, saveAnyway) {
+        // Outside the control panel UI, fall back to a native dialog
+        if (typeof Garnish === "undefined" || !Garnish.Modal) {
+            if (
+                window.confirm(
+                    I18n.t(
+                        "{count, plural, =1{# field is over its soft limit. Save anyway?} other{# fields are over their soft limit. Save anyway?}}",
+                        { count: counters.length }
+                    )
+                )
+            ) {
+                saveAnyway();
+            }
+            return;
+        }
+
+        const container = document.createElement("div");
+        container.className = "modal fitted soft-limit-review";
+
+        const body = document.createElement("div");
+        body.className = "body";
+
+        const heading = document.createElement("h2");
+        heading.textContent = I18n.t(
+            "{count, plural, =1{# field is over its soft limit} other{# fields are over their soft limit}}",
+            { count: counters.length }
+        );
+
+        const intro = document.createElement("p");
+        intro.textContent = I18n.t(
+            "You can still save, or go back and tighten things up first."
+        );
+
+        const list = document.createElement("ul");
+        list.className = "soft-limit-review-list";
+
+        counters.forEach((counter) => {
+            const detail = counter.getState();
+
+            const item = document.createElement("li");
+
+            const label = document.createElement("span");
+            label.className = "soft-limit-review-label";
+            label.textContent = counter.getLabel();
+
+            const count = document.createElement("span");
+            count.className = "soft-limit-review-count soft-limit-exceeded";
+            count.textContent = counter.getCounterText();
+
+            const goButton = document.createElement("button");
+            goButton.type = "button";
+            goButton.className = "btn small";
+            goButton.textContent = I18n.t("Go to field");
+            goButton.dataset.inputId = detail.inputId || "";
+            goButton.addEventListener("click", () => {
+                this.close();
+                this.manager.revealCounter(counter);
+            });
+
+            item.append(label, count, goButton);
+            list.appendChild(item);
+        });
+
+        body.append(heading, intro, list);
+
+        const footer = document.createElement("div");
+        footer.className = "footer";
+        const buttons = document.createElement("div");
+        buttons.className = "buttons right";
+
+        const cancelButton = document.createElement("button");
+        cancelButton.type = "button";
+        cancelButton.className = "btn";
+        cancelButton.textContent = I18n.t("Cancel");
+        cancelButton.addEventListener("click", () => this.close());
+
+        const saveButton = document.createElement("button");
+        saveButton.type = "button";
+        saveButton.className = "btn submit";
+        saveButton.textContent = I18n.t("Save anyway");
+        saveButton.addEventListener("click", () => {
+            this.close();
+            saveAnyway();
+        });
+
+        buttons.append(cancelButton, saveButton);
+        footer.appendChild(buttons);
+        container.append(body, footer);
+
+        this.close();
+        const modal = new Garnish.Modal(container, {
+            onHide: () => {
+                // Also covers the dialog being dismissed with Esc or the shade
+                modal.destroy();
+                modal.$shade?.remove();
+                modal.$container.remove();
+                if (this.modal === modal) {
+                    this.modal = null;
+                }
+            },
+        });
+        this.modal = modal;
+        saveButton.focus();
+    }
+
+    /**
+     * Closes the review dialog, if it's open.
+     */
+    close() {
+        if (this.modal) {
+            this.modal.hide();
+        }
+    }
+}
+
+// Screen reader announcements when counters cross their thresholds
+class SoftLimitAnnouncer {
+    /**
+     * Announces counters entering a new state or stage through a polite live region.
+     * Counts aren't announced as they change; each counter describes its input for that.
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.region = null;
+        this.timer = null;
+        this.unsubscribe = manager.on(EVENTS.UPDATE, (detail) =>
+            this.onUpdate(detail)
+        );
+    }
+
+    /**
+     * Announces a counter's new status, unless it's the initial count or the state and stage haven't changed.
+     */
+    onUpdate(detail) {
+        if (
+            detail.previousState === null ||
+            (detail.previousState === detail.state &&
+                detail.previousStage === detail.stage)
+        ) {
+            return;
+        }
+
+        const counter = this.manager.counters.get(detail.inputId);
+        if (counter) {
+            this.announce(
+                I18n.t("{field}: {message}", {
+                    field: counter.getLabel(),
+                    message: counter.handler.getStatusMessage(),
+                })
+            );
+        }
+    }
+
+    /**
+     * Announces a message, replacing any announcement that hasn't been made yet.
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.region) {
+            this.region = this.createRegion();
+        }
+
+        // Empty the region first, so that a repeated message is announced again
+        this.region.textContent = "";
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.region.textContent = message;
+        }, CONFIG.ANNOUNCE_DELAY);
+    }
+
+    /**
+     * Creates the live region.
+     * @returns {HTMLElement}
+     */
+    createRegion() {
+        const region = document.createElement("div");
+        region.className = "soft-limit-announcer";
+        region.setAttribute("role", "status");
+        region.setAttribute("aria-live", "polite");
+        region.setAttribute("aria-atomic", "true");
+        document.body.appendChild(region);
+        return region;
+    }
+
+    /**
+     * Removes the live region and listener.
+     */
+    destroy() {
+        this.unsubscribe();
+        clearTimeout(this.timer);
+        this.region?.remove();
+        this.region = null;
+    }
+}
+
+// Previews of soft limit markers in field settings, and limit badges on field layout designer cards
+class SoftLimitFieldSettings {
+    /**
+     * Watches instructions textareas in field settings and the field layout designer's
+     * settings for its elements, previewing and checking any marker in them as it's written.
+     * @param {SoftLimitManager} manager
+     * @param {Object} settings - The `fieldSettings` from the plugin's JavaScript settings
+     */
+    constructor(manager, settings) {
+        this.manager = manager;
+        this.settings = settings;
+        this.results = new Map();
+        this.previews = new Map();
+        this.designers = new Map();
+
+        // The layout designer card whose settings were opened last
+        this.activeCard = null;
+        this.onClick = (event) => {
+            const card = event.target.closest?.(".fld-element");
+            if (card) {
+                this.activeCard = card;
+            }
+        };
+        document.addEventListener("click", this.onClick, true);
+        document.addEventListener("dblclick", this.onClick, true);
+
+        this.scan();
+    }
+
+    /**
+     * Adds previews to new instructions textareas and badges to new layout designers,
+     * and drops the ones that have been removed.
+     */
+    scan() {
+        document
+            .querySelectorAll(
+                'textarea[name="instructions"], textarea[name$="[instructions]"]'
+            )
+            .forEach((textarea) => {
+                if (this.previews.has(textarea)) {
+                    return;
+                }
+                const context = this.getContext(textarea);
+                if (context) {
+                    this.previews.set(
+                        textarea,
+                        new SoftLimitMarkerPreview(this, textarea, context)
+                    );
+                }
+            });
+
+        document.querySelectorAll(".layoutdesigner").forEach((designer) => {
+            if (!this.designers.has(designer)) {
+                this.designers.set(designer, this.observeDesigner(designer));
+            }
+            this.renderBadges(designer);
+        });
+
+        this.previews.forEach((preview, textarea) => {
+            if (!textarea.isConnected) {
+                preview.destroy();
+                this.previews.delete(textarea);
+            }
+        });
+        this.designers.forEach((observer, designer) => {
+            if (!designer.isConnected) {
+                observer.disconnect();
+                this.designers.delete(designer);
+            }
+        });
+    }
+
+    /**
+     * Works out what a marker in an instructions textarea would apply to.
+     * @param {HTMLTextAreaElement} textarea
+     * @returns {?Object} - With `getFieldType()` for a field's own instructions, or `card` for
+     * an instructions override in the layout designer, or null if markers don't apply there
+     */
+    getContext(textarea) {
+        // A field's settings, where the field type can still change
+        const typeSelect = textarea.form?.querySelector(
+            'select[name="type"], select[name$="[type]"]'
+        );
+        if (typeSelect) {
+            return { getFieldType: () => typeSelect.value, typeSelect };
+        }
+        if (
+            textarea.form?.querySelector(
+                'input[name="action"][value="fields/save-field"]'
+            )
+        ) {
+            return { getFieldType: () => null };
+        }
+
+        // A layout element's settings
+        if (
+            this.activeCard?.isConnected &&
+            this.getCardSubject(this.activeCard)
+        ) {
+            return { card: this.activeCard };
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns what a marker in a layout designer card's instructions would apply to.
+     * @param {Element} card
+     * @returns {?Object} - The native field's `attribute`, or the custom field's `fieldId`,
+     * or null if the card's element can't have a soft limit
+     */
+    getCardSubject(card) {
+        const type = card.dataset.type || "";
+
+        if (/TitleField$/.test(type)) {
+            return { attribute: "title" };
+        }
+        if (/\\AltField$/.test(type)) {
+            return { attribute: "alt" };
+        }
+
+        const field = this.getCardField(card);
+        return field ? { fieldId: field.id } : null;
+    }
+
+    /**
+     * Whether markers apply to a field type. Unknown types (e.g. when the type can't be read) are given the benefit of the doubt.
+     * @param {?string} fieldType
+     * @returns {boolean}
+     */
+    supportsFieldType(fieldType) {
+        return (
+            !fieldType || (this.settings.fieldTypes || []).includes(fieldType)
+        );
+    }
+
+    /**
+     * Checks the markers in some instructions with the plugin's own parser, the way they'll be
+     * checked when they're saved (see SoftLimit::previewInstructions()). Results are cached,
+     * so the same instructions aren't sent again as they're edited back and forth.
+     * @param {string} instructions
+     * @param {Object} subject - The `fieldType` chosen in field settings, or from getCardSubject()
+     * @returns {Promise<{configs: ?Object, group: ?Object, phrases: ?Object, errors: string[], markers: number}>} -
+     * The configs keyed by target name ("" for the field itself), the group config, and the `require`
+     * and `avoid` phrases, each null if there's no such marker or the markers are invalid
+     */
+    checkInstructions(instructions, subject) {
+        if (
+            !SoftLimitFieldSettings.MARKER_PATTERN.test(instructions) ||
+            typeof Craft === "undefined"
+        ) {
+            return Promise.resolve(SoftLimitFieldSettings.NO_MARKERS);
+        }
+
+        const key = JSON.stringify([instructions, subject]);
+        if (!this.results.has(key)) {
+            if (this.results.size >= SoftLimitFieldSettings.MAX_RESULTS) {
+                this.results.delete(this.results.keys().next().value);
+            }
+            this.results.set(
+                key,
+                Craft.sendActionRequest("POST", "soft-limit/markers/preview", {
+                    data: { instructions, ...subject },
+                })
+                    .then(({ data }) => data)
+                    .catch(() => {
+                        // Try again next time, and show nothing in the meantime
+                        this.results.delete(key);
+                        return SoftLimitFieldSettings.NO_MARKERS;
+                    })
+            );
+        }
+        return this.results.get(key);
+    }
+
+    /**
+     * Returns the custom field a layout designer card is for.
+     * @param {Element} card
+     * @returns {?Object} - The field's entry in the `fields` setting
+     */
+    getCardField(card) {
+        const config = this.getCardConfig(card);
+        const fields = this.settings.fields || {};
+
+        if (config?.fieldUid && fields[config.fieldUid]) {
+            return fields[config.fieldUid];
+        }
+
+        const id = parseInt(card.dataset.id, 10);
+        return Object.values(fields).find((field) => field.id === id) || null;
+    }
+
+    /**
+     * Returns a layout designer card's element config, including any settings applied since the page loaded.
+     * @param {Element} card
+     * @returns {?Object}
+     */
+    getCardConfig(card) {
+        if (typeof $ !== "undefined") {
+            const config = $(card).data("config");
+            if (config && typeof config === "object") {
+                return config;
+            }
+        }
+
+        try {
+            return JSON.parse(card.dataset.config || "null");
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Returns the UID of the field layout a layout designer is editing, if it has one yet.
+     * @param {Element} designer
+     * @returns {?string}
+     */
+    getLayoutUid(designer) {
+        const input = designer.querySelector(
+            'input[name="fieldLayout"], input[name$="[fieldLayout]"]'
+        );
+        try {
+            return JSON.parse(input?.value || "null")?.uid || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Re-renders a layout designer's badges when its cards change, e.g. when settings are applied.
+     * @param {Element} designer
+     * @returns {{disconnect: function}}
+     */
+    observeDesigner(designer) {
+        let timer = null;
+        return SharedMutationObserver.get().observe(designer, () => {
+            clearTimeout(timer);
+            timer = setTimeout(
+                () => this.renderBadges(designer),
+                CONFIG.DEBOUNCE_MUTATION
+            );
+        });
+    }
+
+    /**
+     * Badges each card in a layout designer with its element's effective limit: the one set by
+     * the card's instructions override, or else the field's own, or its columns' for a Table field
+     * (see SoftLimit::getSoftLimit() and SoftLimit::getColumnSoftLimits()).
+     * @param {Element} designer
+     */
+    renderBadges(designer) {
+        const layoutUid = this.getLayoutUid(designer);
+
+        designer.querySelectorAll(".fld-element").forEach((card) => {
+            const subject = this.getCardSubject(card);
+
+            if (!subject) {
+                this.renderBadge(card, []);
+                return;
+            }
+
+            this.checkInstructions(
+                this.getCardConfig(card)?.instructions || "",
+                subject
+            ).then(({ configs }) => {
+                let limits = [];
+
+                if (configs) {
+                    limits = Object.entries(configs).map(
+                        ([target, config]) => ({ target, config })
+                    );
+                } else if (subject.fieldId) {
+                    const field = this.getCardField(card);
+                    const config = field?.layouts?.[layoutUid] || field?.limit;
+                    limits = config
+                        ? [{ target: "", config }]
+                        : Object.entries(field?.columns || {}).map(
+                              ([target, config]) => ({ target, config })
+                          );
+                }
+
+                if (card.isConnected) {
+                    this.renderBadge(card, limits);
+                }
+            });
+        });
+    }
+
+    /**
+     * Adds, updates or removes a card's badge. Unchanged badges are left alone, so rendering
+     * them doesn't trigger the designer's observer again.
+     * @param {Element} card
+     * @param {{target: string, config: Object}[]} limits
+     */
+    renderBadge(card, limits) {
+        let badge = card.querySelector(":scope .soft-limit-fld-badge");
+
+        if (!limits.length) {
+            badge?.remove();
+            return;
+        }
+
+        const text = limits
+            .map(({ target, config }) => {
+                const limit = SoftLimitMarkerPreview.getLimitText(config);
+                return target
+                    ? I18n.t("{target}: {limit}", { target, limit })
+                    : limit;
+            })
+            .join(", ");
+
+        if (!badge) {
+            badge = document.createElement("span");
+            badge.className = "soft-limit-fld-badge";
+            (
+                card.querySelector(".field-name, .fld-element-label") || card
+            ).appendChild(badge);
+        }
+        if (badge.textContent !== text) {
+            badge.textContent = text;
+            badge.title = I18n.t("Soft limit: {limit}", { limit: text });
+        }
+    }
+
+    /**
+     * Removes the previews, badges and listeners.
+     */
+    destroy() {
+        document.removeEventListener("click", this.onClick, true);
+        document.removeEventListener("dblclick", this.onClick, true);
+
+        this.previews.forEach((preview) => preview.destroy());
+        this.previews.clear();
+
+        this.designers.forEach((observer, designer) => {
+            observer.disconnect();
+            designer
+                .querySelectorAll(".soft-limit-fld-badge")
+                .forEach((badge) => badge.remove());
+        });
+        this.designers.clear();
+    }
+}
+
+// Instructions that might have a marker, worth checking
+SoftLimitFieldSettings.MARKER_PATTERN =
+    /\[soft-(limit|limit-group|require|avoid):/i;
+
+// The result of checking instructions without markers
+SoftLimitFieldSettings.NO_MARKERS = {
+    configs: null,
+    group: null,
+    phrases: null,
+    errors: [],
+    markers: 0,
+};
+
+// How many checked instructions to keep
+SoftLimitFieldSettings.MAX_RESULTS = 50;
+
+// A live preview of the marker in an instructions textarea
+class SoftLimitMarkerPreview {
+    /**
+     * Shows a sample counter for the marker being written, or its errors, below the textarea.
+     * @param {SoftLimitFieldSettings} fieldSettings
+     * @param {HTMLTextAreaElement} textarea
+     * @param {Object} context - From SoftLimitFieldSettings.getContext()
+     */
+    constructor(fieldSettings, textarea, context) {
+        this.fieldSettings = fieldSettings;
+        this.textarea = textarea;
+        this.context = context;
+        this.renderId = 0;
+
+        this.element = document.createElement("div");
+        this.element.className = "soft-limit-marker-preview";
+        this.element.id = `${textarea.id || `soft-limit-input-${SoftLimitManager.nextInputId++}`}-soft-limit-preview`;
+        this.element.setAttribute("aria-live", "polite");
+        this.element.hidden = true;
+        textarea.after(this.element);
+        textarea.setAttribute(
+            "aria-describedby",
+            BaseHandler.addIdReference(
+                textarea.getAttribute("aria-describedby"),
+                this.element.id
+            )
+        );
+
+        let timer = null;
+        this.onInput = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.render(), CONFIG.DEBOUNCE_FAST);
+        };
+        textarea.addEventListener("input", this.onInput);
+        context.typeSelect?.addEventListener("change", this.onInput);
+
+        this.render();
+    }
+
+    /**
+     * Returns a limit with its unit, e.g. "160", "120–160 words" or "580px".
+     * @param {{limit: number, min: ?number, unit: string}} config
+     * @returns {string}
+     */
+    static getLimitText(config) {
+        const handler = new BaseHandler(null, null, config);
+        const amount = handler.getTargetLabel();
+
+        switch (handler.unit) {
+            case "characters":
+                return amount;
+            case "pixels":
+                return I18n.t("{amount}px", { amount });
+            default:
+                return I18n.t("{amount} {unit}", {
+                    amount,
+                    unit: handler.getUnitName(config.limit),
+                });
+        }
+    }
+
+    /**
+     * Checks the textarea's markers, and shows a sample counter for each limit they set,
+     * or the errors that would stop the field being saved.
+     * @returns {Promise}
+     */
+    render() {
+        const renderId = ++this.renderId;
+        const fieldType = this.context.card
+            ? null
+            : this.context.getFieldType();
+
+        if (!this.fieldSettings.supportsFieldType(fieldType)) {
+            this.element.hidden = true;
+            this.element.replaceChildren();
+            this.textarea.classList.remove("error");
+            return Promise.resolve();
+        }
+
+        const subject = this.context.card
+            ? this.fieldSettings.getCardSubject(this.context.card)
+            : { fieldType };
+
+        return this.fieldSettings
+            .checkInstructions(this.textarea.value, subject || {})
+            .then(({ configs, group, phrases, errors, markers }) => {
+                // A newer render has started, or the preview has been removed
+                if (renderId !== this.renderId) {
+                    return;
+                }
+
+                const children = [];
+                if (configs) {
+                    Object.entries(configs).forEach(([target, config]) => {
+                        children.push(this.createSample(target, config));
+                    });
+                }
+                if (group) {
+                    children.push(
+                        this.createSample(
+                            I18n.t("Total for {group}", { group: group.name }),
+                            { limit: group.limit, min: null, unit: group.unit }
+                        )
+                    );
+                }
+                if (phrases) {
+                    // The hints an empty input would show, plus the phrases to avoid
+                    const list = document.createElement("ul");
+                    list.className = "soft-limit-hints";
+                    list.append(
+                        ...PhraseHints.createItems({
+                            missing: phrases.require,
+                            found: phrases.avoid,
+                        })
+                    );
+                    children.push(list);
+                }
+                if (errors.length) {
+                    const list = document.createElement("ul");
+                    list.className = "errors";
+                    errors.forEach((error) => {
+                        const item = document.createElement("li");
+                        item.textContent = error;
+                        list.appendChild(item);
+                    });
+                    children.push(list);
+                }
+
+                this.element.replaceChildren(...children);
+                this.element.hidden = markers === 0;
+                this.textarea.classList.toggle("error", errors.length > 0);
+            });
+    }
+
+    /**
+     * Creates a sample counter for an empty input with a limit.
+     * @param {string} target - What the limit is for, e.g. "slug" or "Total for hero", or "" for the field itself
+     * @param {Object} config - A config from SoftLimitFieldSettings.checkInstructions()
+     * @returns {HTMLElement}
+     */
+    createSample(target, config) {
+        const sample = document.createElement("div");
+        sample.className = "soft-limit-marker-sample";
+
+        if (target) {
+            const label = document.createElement("span");
+            label.className = "soft-limit-marker-target";
+            label.textContent = target;
+            sample.appendChild(label);
+        }
+
+        // Marked as initialized, so the manager doesn't look for an input for it
+        const counterElement = document.createElement("div");
+        counterElement.dataset.initialized = "true";
+        const display =
+            config.display || this.fieldSettings.settings.counterDisplay;
+        counterElement.className = `soft-limit-counter soft-limit-display-${display}`;
+
+        const handler = new BaseHandler(null, counterElement, {
+            limit: config.limit,
+            min: config.min,
+            unit: config.unit,
+            display,
+        });
+        handler.renderCounter(0, handler.getStatus(0));
+        sample.appendChild(counterElement);
+
+        return sample;
+    }
+
+    /**
+     * Removes the preview and its listeners.
+     */
+    destroy() {
+        this.renderId++;
+        this.textarea.removeEventListener("input", this.onInput);
+        this.context.typeSelect?.removeEventListener("change", this.onInput);
+        this.textarea.classList.remove("error");
+        const value = BaseHandler.removeIdReference(
+            this.textarea.getAttribute("aria-describedby"),
+            this.element.id
+        );
+        if (value) {
+            this.textarea.setAttribute("aria-describedby", value);
+        } else {
+            this.textarea.removeAttribute("aria-describedby");
+        }
+        this.element.remove();
+    }
+}
+
+class SoftLimitCounter {
+    /**
+     * Creates a counter instance and selects the appropriate handler based on field type.
+     */
+    constructor(input, counterElement, options) {
+        this.input = input;
+        this.counterElement = counterElement;
+        this.limit = options.limit;
+        this.min = options.min;
+        this.unit = options.unit;
+        this.warningThresholds = options.warningThresholds;
+        this.overThresholds = options.overThresholds;
+        this.fieldClass = options.fieldClass;
+        this.fieldContainer = options.fieldContainer;
+        this.handle = options.handle;
+        this.inputId = options.inputId;
+        this.highlightOverflow = options.highlightOverflow;
+        this.pasteGuard = options.pasteGuard;
+        this.font = options.font;
+        this.preview = options.preview;
+        this.column = options.column || null;
+        this.columnHeading = options.columnHeading || null;
+        this.display = options.display;
+        this.position = options.position;
+        this.group = options.group || null;
+        this.phrases = options.phrases || null;
+        this.noLimit = options.noLimit === true;
+
+        // Create the appropriate handler
+        this.handler = this.createHandler();
+
+        this.init();
+    }
+
+    /**
+     * Factory method that creates the appropriate handler based on field class and editor type,
+     * from the handlers registered with SoftLimitManager.registerHandler().
+     */
+    createHandler() {
+        const options = {
+            limit: this.limit,
+            min: this.min,
+            unit: this.unit,
+            warningThresholds: this.warningThresholds,
+            overThresholds: this.overThresholds,
+            fieldClass: this.fieldClass,
+            fieldContainer: this.fieldContainer,
+            handle: this.handle,
+            inputId: this.inputId,
+            // Fields without a limit of their own have no overflow to highlight or guard
+            highlightOverflow: this.highlightOverflow && !this.noLimit,
+            pasteGuard: this.pasteGuard && !this.noLimit,
+            font: this.font,
+            preview: this.preview,
+            column: this.column,
+            display: this.display,
+            position: this.position,
+            group: this.group,
+            phrases: this.phrases,
+            noLimit: this.noLimit,
+        };
+
+        const HandlerClass = SoftLimitManager.getHandlerClass(this);
+        return new HandlerClass(this.input, this.counterElement, options);
+    }
+
+    /**
+     * Initializes the counter by delegating to the appropriate handler.
+     */
+    init() {
+        this.handler.init();
+    }
+
+    /**
+     * Updates the counter display by delegating to the handler.
+     */
+    updateCounter() {
+        this.handler.updateCounter();
+    }
+
+    /**
+     * Returns the counter's current status.
+     */
+    getState() {
+        return this.handler.getDetail();
+    }
+
+    /**
+     * Returns the counter's text, e.g. "42/160", without its state text.
+     */
+    getCounterText() {
+        return this.handler.getCounterText(this.handler.count ?? 0);
+    }
+
+    /**
+     * Checks if the count is over the limit. A count at the limit is within it, although
+     * it's shown in the exceeded state.
+     */
+    isOverLimit() {
+        const { count, limit } = this.getState();
+        return count !== null && count > limit;
+    }
+
+    /**
+     * Returns the field's label, falling back to its handle.
+     * Table cells are labelled with their column and row, e.g. "FAQ › Answer (row 2)".
+     */
+    getLabel() {
+        const label = this.fieldContainer?.querySelector(
+            ":scope > .heading label, :scope > .heading legend, :scope > legend"
+        );
+        const fieldLabel =
+            (label && label.textContent.trim()) || this.handle || this.inputId;
+
+        if (!this.columnHeading) {
+            return fieldLabel;
+        }
+
+        const row = this.input.closest("tr");
+        const rowNumber = row
+            ? Array.prototype.indexOf.call(row.parentElement.children, row) + 1
+            : null;
+        const params = {
+            field: fieldLabel,
+            column: this.columnHeading,
+            row: I18n.formatNumber(rowNumber),
+        };
+        return rowNumber
+            ? I18n.t("{field} › {column} (row {row})", params)
+            : I18n.t("{field} › {column}", params);
+    }
+
+    /**
+     * Moves focus to the field's input or editor.
+     */
+    focus() {
+        this.handler.focus();
+    }
+
+    /**
+     * Cleans up resources by destroying the handler, and leaves the counter's group.
+     */
+    destroy() {
+        this.handler.destroy();
+        this.group?.remove(this);
+    }
+}
+
+// Group limits, with one counter for the total of every field in a group
+class SoftLimitGroup {
+    /**
+     * Creates a group's counter, which is placed after the last field in the group once it
+     * has members. Groups have the same interface as SoftLimitCounter, so they're listed in
+     * the overview and save review, and included in getState().
+     * @param {SoftLimitManager} manager
+     * @param {Element} scope - The form (or page) the group is in
+     * @param {string} name - The group's name, e.g. "hero"
+     * @param {Object} options
+     * @param {number} options.limit
+     * @param {string} options.unit
+     * @param {number[]} options.warningThresholds
+     * @param {number[]} options.overThresholds
+     */
+    constructor(manager, scope, name, options) {
+        this.manager = manager;
+        this.scope = scope;
+        this.name = name;
+        this.limit = options.limit;
+        this.unit = options.unit;
+        this.inputId = `soft-limit-group-${SoftLimitManager.nextInputId++}`;
+        this.fieldContainer = null;
+        this.noLimit = false;
+
+        // The counters of the fields in the group
+        this.members = new Set();
+
+        // The group's counter stands in for its input, e.g. when it's revealed from the overview
+        this.counterElement = document.createElement("div");
+        this.counterElement.className =
+            "soft-limit-counter soft-limit-group-counter";
+        this.counterElement.dataset.initialized = "true";
+        this.input = this.counterElement;
+
+        this.handler = new GroupHandler(this.input, this.counterElement, {
+            limit: this.limit,
+            unit: this.unit,
+            warningThresholds: options.warningThresholds,
+            overThresholds: options.overThresholds,
+            inputId: this.inputId,
+            members: this.members,
+            groupName: this.name,
+        });
+        this.initialized = false;
+
+        // Drop members whose fields have been removed, e.g. with deleted Matrix blocks
+        this.subscription = SharedMutationObserver.get().observe(
+            scope,
+            (mutations) => {
+                const removed = mutations.flatMap((mutation) =>
+                    Array.from(mutation.removedNodes)
+                );
+                if (
+                    removed.length &&
+                    Array.from(this.members).some((counter) =>
+                        removed.some((node) => node.contains(counter.input))
+                    )
+                ) {
+                    this.prune();
+                }
+            }
+        );
+    }
+
+    /**
+     * Adds a field's counter to the group.
+     * @param {SoftLimitCounter} counter
+     */
+    add(counter) {
+        this.members.add(counter);
+        this.place();
+
+        if (!this.initialized) {
+            this.initialized = true;
+            this.handler.init();
+        } else {
+            this.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Removes a field's counter from the group, removing the group once it's empty.
+     * @param {SoftLimitCounter} counter
+     */
+    remove(counter) {
+        if (!this.members.delete(counter)) {
+            return;
+        }
+
+        if (!this.members.size) {
+            this.manager.removeGroup(this);
+            return;
+        }
+
+        this.place();
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Removes members whose inputs are no longer on the page.
+     */
+    prune() {
+        Array.from(this.members)
+            .filter((counter) => !counter.input.isConnected)
+            .forEach((counter) => this.remove(counter));
+    }
+
+    /**
+     * Places the group's counter at the end of the outermost field containing the last
+     * field in the group, e.g. after all of a Matrix field's blocks.
+     */
+    place() {
+        const precedes = (a, b) =>
+            a.input.compareDocumentPosition(b.input) &
+            Node.DOCUMENT_POSITION_FOLLOWING;
+        const last = Array.from(this.members).reduce((last, counter) =>
+            precedes(last, counter) ? counter : last
+        );
+
+        let field = null;
+        for (
+            let element = last.input.closest(".field");
+            element && this.scope.contains(element);
+            element = element.parentElement?.closest(".field")
+        ) {
+            field = element;
+        }
+
+        if (field) {
+            if (this.counterElement.parentElement !== field) {
+                field.appendChild(this.counterElement);
+            }
+        } else if (
+            last.counterElement.nextElementSibling !== this.counterElement
+        ) {
+            last.counterElement.after(this.counterElement);
+        }
+    }
+
+    /**
+     * Queues an update of the total, e.g. when a member's count changes.
+     */
+    scheduleUpdate() {
+        this.handler.scheduleUpdate();
+    }
+
+    /**
+     * Updates the total and each member's share of it.
+     */
+    updateCounter() {
+        this.handler.updateCounter();
+    }
+
+    /**
+     * Returns the group's current status.
+     */
+    getState() {
+        return this.handler.getDetail();
+    }
+
+    /**
+     * Returns the group's counter text, e.g. "97/120".
+     */
+    getCounterText() {
+        return this.handler.getCounterText(this.handler.count ?? 0);
+    }
+
+    /**
+     * Checks if the total is over the group's limit (a total at the limit is within it).
+     */
+    isOverLimit() {
+        const { count, limit } = this.getState();
+        return count !== null && count > limit;
+    }
+
+    /**
+     * Returns the group's label, e.g. "Total for hero".
+     */
+    getLabel() {
+        return I18n.t("Total for {group}", { group: this.name });
+    }
+
+    /**
+     * Moves focus to the first field in the group.
+     */
+    focus() {
+        this.handler.focus();
+    }
+
+    /**
+     * Stops watching for removed members, and removes the group's counter.
+     */
+    destroy() {
+        this.subscription.disconnect();
+        this.handler.destroy();
+        this.members.clear();
+        this.counterElement.remove();
+    }
+}
+
+// Translations and number formatting
+class I18n {
+    /**
+     * Translates a message with Craft.t(), which also formats its parameters, including
+     * plurals such as "{count, plural, =1{# field} other{# fields}}". Without Craft's
+     * JavaScript, the message is formatted without being translated.
+     * @param {string} message - The English message, as registered by the plugin
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    static t(message, params = {}) {
+        if (typeof Craft !== "undefined" && typeof Craft.t === "function") {
+            return Craft.t("soft-limit", message, params);
+        }
+        return I18n.formatMessage(message, params);
+    }
+
+    /**
+     * Formats a whole number for the user's locale, e.g. "1,250" or "1.250".
+     * @param {number} number
+     * @returns {string}
+     */
+    static formatNumber(number) {
+        return I18n.getNumberFormat("decimal").format(number);
+    }
+
+    /**
+     * Formats a ratio as a whole percentage for the user's locale, e.g. "26%" or "26 %".
+     * @param {number} ratio
+     * @returns {string}
+     */
+    static formatPercent(ratio) {
+        return I18n.getNumberFormat("percent").format(ratio);
+    }
+
+    /**
+     * Returns a cached number format for the user's formatting locale.
+     * @param {string} style - "decimal" or "percent"
+     * @returns {Intl.NumberFormat}
+     */
+    static getNumberFormat(style) {
+        if (!I18n.numberFormats.has(style)) {
+            const options = { style, maximumFractionDigits: 0 };
+            let format;
+            try {
+                format = new Intl.NumberFormat(I18n.getLocale(), options);
+            } catch (e) {
+                format = new Intl.NumberFormat(undefined, options);
+            }
+            I18n.numberFormats.set(style, format);
+        }
+        return I18n.numberFormats.get(style);
+    }
+
+    /**
+     * Returns the user's formatting locale, falling back to the control panel's language.
+     * @returns {string|undefined}
+     */
+    static getLocale() {
+        const craftLocale =
+            typeof Craft !== "undefined" &&
+            (Craft.formattingLocale || Craft.language);
+        return craftLocale || document.documentElement.lang || undefined;
+    }
+
+    /**
+     * Formats a message's parameters without Craft: "{name}" and
+     * "{name, plural, =1{...} one{...} other{...}}", where "#" is the number.
+     * @param {string} message
+     * @param {Object} params
+     * @returns {string}
+     */
+    static formatMessage(message, params) {
+        let result = "";
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < message.length; i++) {
+            if (message[i] === "{") {
+                if (depth === 0) {
+                    result += message.slice(start, i);
+                    start = i + 1;
+                }
+                depth++;
+            } else if (message[i] === "}" && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    result += I18n.formatArgument(
+                        message.slice(start, i),
+                        params
+                    );
+                    start = i + 1;
+                }
+            }
+        }
+
+        return result + message.slice(start);
+    }
+
+    /**
+     * Formats a single "{...}" argument of a message.
+     * @param {string} argument - The argument without its braces
+     * @param {Object} params
+     * @returns {string}
+     */
+    static formatArgument(argument, params) {
+        const [name, type, ...rest] = argument.split(",");
+        const value = params[name.trim()];
+
+        if (value === undefined) {
+            return `{${argument}}`;
+        }
+        if (!type || type.trim() !== "plural") {
+            return String(value);
+        }
+
+        // Collect the plural branches, e.g. "=1{# field} other{# fields}"
+        const branches = {};
+        const pattern = /([=\w]+)\s*\{/g;
+        const source = rest.join(",");
+        let match;
+        while ((match = pattern.exec(source))) {
+            let depth = 1;
+            let end = pattern.lastIndex;
+            while (end < source.length && depth > 0) {
+                depth += source[end] === "{" ? 1 : source[end] === "}" ? -1 : 0;
+                end++;
+            }
+            branches[match[1]] = source.slice(pattern.lastIndex, end - 1);
+            pattern.lastIndex = end;
+        }
+
+        const branch =
+            branches[`=${value}`] ??
+            (value === 1 ? branches.one : undefined) ??
+            branches.other ??
+            "";
+        return I18n.formatMessage(branch.replace(/#/g, value), params);
+    }
+}
+
+I18n.numberFormats = new Map();
+
+// Text measurement helpers shared by all handlers
+class TextMetrics {
+    /**
+     * Counts plain text in the given unit. Paragraphs are separated by blank lines,
+     * and blank lines are not counted as lines. Pixels are the rendered width of the text.
+     * @param {string} text
+     * @param {string} unit - A key of UNITS
+     * @param {string} [font] - The CSS font to measure pixel widths in
+     * @returns {number}
+     */
+    static countText(text, unit, font) {
+        if (unit === "pixels") {
+            return this.measureWidth(text, font);
+        }
+
+        let count = 0;
+        const starts = this.unitStarts(text, unit);
+        while (!starts.next().done) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Returns the index in the text where the first unit beyond the limit starts,
+     * or null if the text is within the limit.
+     * @param {string} text
+     * @param {string} unit - A key of UNITS
+     * @param {number} limit
+     * @param {string} [font] - The CSS font to measure pixel widths in
+     * @returns {number|null}
+     */
+    static offsetAtLimit(text, unit, limit, font) {
+        if (unit === "pixels") {
+            return this.offsetAtWidth(text, limit, font);
+        }
+
+        let count = 0;
+        for (const start of this.unitStarts(text, unit)) {
+            if (count === limit) {
+                return start;
+            }
+            count++;
+        }
+        return null;
+    }
+
+    /**
+     * Returns where to cut text that goes over its limit, given where the first unit beyond
+     * the limit starts (see offsetAtLimit()). The text is cut after the last sentence that
+     * fits, or after the last word that fits if that would keep less than half of what fits.
+     * Spaces (and commas, dashes, etc. after a word) at the cut are left out.
+     * @param {string} text
+     * @param {number} offset
+     * @returns {number}
+     */
+    static trimOffset(text, offset) {
+        const sentenceCut = this.sentenceOffset(text, offset);
+        if (sentenceCut > 0 && sentenceCut >= offset / 2) {
+            return sentenceCut;
+        }
+
+        let wordStart = 0;
+        for (const start of this.unitStarts(text, "words")) {
+            if (start > offset) {
+                break;
+            }
+            wordStart = start;
+        }
+        const wordCut =
+            wordStart -
+            text.slice(0, wordStart).match(/[\s,;:(\[{\-–—]*$/)[0].length;
+        return wordCut > 0 ? wordCut : offset;
+    }
+
+    /**
+     * Returns where the last full sentence before an offset ends (leaving out the spaces
+     * after it), or 0 if there isn't one.
+     * @param {string} text
+     * @param {number} offset
+     * @returns {number}
+     */
+    static sentenceOffset(text, offset) {
+        let sentenceStart = 0;
+        for (const start of this.unitStarts(text, "sentences")) {
+            if (start > offset) {
+                break;
+            }
+            sentenceStart = start;
+        }
+        return (
+            sentenceStart - text.slice(0, sentenceStart).match(/\s*$/)[0].length
+        );
+    }
+
+    /**
+     * Counts rich text blocks (as returned by getBlocksFromHtml) in the given unit.
+     * Words and sentences never run across block boundaries, and every non-empty
+     * block is a paragraph. Pixels are the width of the blocks on a single line.
+     * @param {string[]} blocks
+     * @param {string} unit - A key of UNITS
+     * @param {string} [font] - The CSS font to measure pixel widths in
+     * @returns {number}
+     */
+    static countBlocks(blocks, unit, font) {
+        if (unit === "pixels") {
+            return this.measureWidth(blocks.join(" "), font);
+        }
+
+        return blocks.reduce((total, block) => {
+            let count = 0;
+            const starts = this.blockUnitStarts(block, unit);
+            while (!starts.next().done) {
+                count++;
+            }
+            return total + count;
+        }, 0);
+    }
+
+    /**
+     * Finds where the first unit beyond the limit starts in rich text blocks,
+     * or null if they're within the limit.
+     * @param {string[]} blocks
+     * @param {string} unit - A key of UNITS
+     * @param {number} limit
+     * @param {string} [font] - The CSS font to measure pixel widths in
+     * @returns {{block: number, offset: number}|null} - The block index, and the index within its text
+     */
+    static blockOffsetAtLimit(blocks, unit, limit, font) {
+        if (unit === "pixels") {
+            let offset = this.offsetAtWidth(blocks.join(" "), limit, font);
+            if (offset === null) {
+                return null;
+            }
+            for (let block = 0; block < blocks.length; block++) {
+                if (offset <= blocks[block].length) {
+                    return { block, offset };
+                }
+                offset -= blocks[block].length + 1;
+            }
+            return null;
+        }
+
+        let count = 0;
+        for (let block = 0; block < blocks.length; block++) {
+            for (const offset of this.blockUnitStarts(blocks[block], unit)) {
+                if (count === limit) {
+                    return { block, offset };
+                }
+                count++;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Yields the index where each counted unit in a rich text block starts.
+     * A block is a single paragraph, and its line breaks are markup, not characters.
+     * @param {string} block
+     * @param {string} unit - A key of UNITS
+     */
+    static *blockUnitStarts(block, unit) {
+        if (unit === "paragraphs") {
+            if (block.trim()) {
+                yield block.search(/\S/);
+            }
+            return;
+        }
+
+        for (const start of this.unitStarts(block, unit)) {
+            if (unit !== "characters" || block[start] !== "\n") {
+                yield start;
+            }
+        }
+    }
+
+    /**
+     * Measures the rendered width of text in a font, in whole pixels. Line breaks and
+     * other whitespace are measured as spaces, as search engines show text on one line.
+     * @param {string} text
+     * @param {string} [font] - A CSS font, e.g. "20px Arial, sans-serif"
+     * @returns {number}
+     */
+    static measureWidth(text, font = CONFIG.DEFAULT_FONT) {
+        if (!text) {
+            return 0;
+        }
+
+        const context = this.getCanvasContext();
+        if (!context) {
+            return 0;
+        }
+
+        context.font = font;
+        return Math.round(context.measureText(text.replace(/\s/g, " ")).width);
+    }
+
+    /**
+     * Returns the index of the first character that doesn't fit in the width,
+     * or null if the whole text fits.
+     * @param {string} text
+     * @param {number} width - The available width, in pixels
+     * @param {string} [font] - A CSS font
+     * @returns {number|null}
+     */
+    static offsetAtWidth(text, width, font) {
+        if (this.measureWidth(text, font) <= width) {
+            return null;
+        }
+
+        // Widths only grow as characters are added, so search for the first
+        // character whose end doesn't fit
+        const starts = Array.from(this.unitStarts(text, "characters"));
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const end = starts[middle + 1] ?? text.length;
+            if (this.measureWidth(text.slice(0, end), font) > width) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return starts[low];
+    }
+
+    /**
+     * Returns a shared canvas 2D context for measuring text, or null if unsupported.
+     * @returns {CanvasRenderingContext2D|null}
+     */
+    static getCanvasContext() {
+        if (this.canvasContext === undefined) {
+            this.canvasContext =
+                document.createElement("canvas").getContext?.("2d") || null;
+        }
+        return this.canvasContext;
+    }
+
+    /**
+     * Returns a cached Intl.Segmenter for the given granularity, or null if unsupported.
+     * @param {string} granularity - "grapheme", "word" or "sentence"
+     * @returns {Intl.Segmenter|null}
+     */
+    static getSegmenter(granularity) {
+        if (typeof Intl === "undefined" || !Intl.Segmenter) {
+            return null;
+        }
+        if (!this.segmenters[granularity]) {
+            this.segmenters[granularity] = new Intl.Segmenter(undefined, {
+                granularity,
+            });
+        }
+        return this.segmenters[granularity];
+    }
+
+    /**
+     * Yields the index where each counted unit in the text starts. Counting and
+     * finding where a limit falls both go through here, so they always agree.
+     *
+     * Characters are user-perceived characters (grapheme clusters), so emoji sequences
+     * and decomposed accents count once. Words use Intl.Segmenter where available, so
+     * scripts without spaces between words (e.g. Japanese) are counted correctly.
+     * Sentences without letters or numbers aren't counted.
+     * @param {string} text
+     * @param {string} unit - A key of UNITS
+     */
+    static *unitStarts(text, unit) {
+        switch (unit) {
+            case "words": {
+                const segmenter = this.getSegmenter("word");
+                if (segmenter) {
+                    for (const segment of segmenter.segment(text)) {
+                        if (segment.isWordLike) {
+                            yield segment.index;
+                        }
+                    }
+                } else {
+                    for (const match of text.matchAll(
+                        /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu
+                    )) {
+                        yield match.index;
+                    }
+                }
+                return;
+            }
+            case "sentences": {
+                const segmenter = this.getSegmenter("sentence");
+                const sentences = segmenter
+                    ? Array.from(segmenter.segment(text), (segment) => [
+                          segment.index,
+                          segment.segment,
+                      ])
+                    : Array.from(
+                          text.matchAll(/\S[^]*?(?:[.!?…。！？]+(?=\s|$)|$)/gu),
+                          (match) => [match.index, match[0]]
+                      );
+                for (const [index, sentence] of sentences) {
+                    if (/[\p{L}\p{N}]/u.test(sentence)) {
+                        yield index + sentence.search(/\S/);
+                    }
+                }
+                return;
+            }
+            case "paragraphs": {
+                let start = 0;
+                const separators = [
+                    ...text.matchAll(/\n\s*\n/g),
+                    { index: text.length, 0: "" },
+                ];
+                for (const separator of separators) {
+                    const paragraph = text.slice(start, separator.index);
+                    if (paragraph.trim()) {
+                        yield start + paragraph.search(/\S/);
+                    }
+                    start = separator.index + separator[0].length;
+                }
+                return;
+            }
+            case "lines": {
+                let start = 0;
+                for (const line of text.split("\n")) {
+                    if (line.trim()) {
+                        yield start + line.search(/\S/);
+                    }
+                    start += line.length + 1;
+                }
+                return;
+            }
+            default: {
+                const segmenter = this.getSegmenter("grapheme");
+                if (segmenter) {
+                    for (const segment of segmenter.segment(text)) {
+                        yield segment.index;
+                    }
+                } else {
+                    // Approximate graphemes by code points with their combining marks,
+                    // skin tone modifiers and joined emoji
+                    for (const match of text.matchAll(
+                        /\r\n|\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*(?:\u200D\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*)*/gu
+                    )) {
+                        yield match.index;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Splits HTML into the text of its blocks (paragraphs, headings, list items, etc.),
+     * with <br> tags as "\n". Empty blocks are left out.
+     * @param {string} html - Sanitized HTML
+     * @returns {string[]}
+     */
+    static getBlocksFromHtml(html) {
+        const tempDiv = document.createElement("div");
+        tempDiv.innerHTML = html;
+
+        const blocks = [];
+        let current = "";
+
+        // Only collapse and trim HTML whitespace, not non-breaking spaces, which
+        // editors use for spaces that authors typed (and count as characters)
+        const flush = (preformatted) => {
+            if (current.trim()) {
+                blocks.push(
+                    preformatted
+                        ? current
+                        : current.replace(/^[ \t\r\f]+|[ \t\r\f]+$/g, "")
+                );
+            }
+            current = "";
+        };
+
+        const walk = (node, preformatted) => {
+            node.childNodes.forEach((child) => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    current += preformatted
+                        ? child.data
+                        : child.data.replace(/[ \t\n\r\f]+/g, " ");
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (child.tagName === "BR") {
+                        current += "\n";
+                    } else if (TextMetrics.BLOCK_TAGS.has(child.tagName)) {
+                        const childPreformatted =
+                            preformatted || child.tagName === "PRE";
+                        flush(preformatted);
+                        walk(child, childPreformatted);
+                        flush(childPreformatted);
+                    } else {
+                        walk(child, preformatted);
+                    }
+                }
+            });
+        };
+
+        walk(tempDiv, false);
+        flush(false);
+
+        return blocks;
+    }
+}
+
+TextMetrics.segmenters = {};
+TextMetrics.canvasContext = undefined;
+
+TextMetrics.BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "ASIDE",
+    "BLOCKQUOTE",
+    "DD",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "FOOTER",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "HR",
+    "LI",
+    "OL",
+    "P",
+    "PRE",
+    "SECTION",
+    "TABLE",
+    "TBODY",
+    "TD",
+    "TFOOT",
+    "TH",
+    "THEAD",
+    "TR",
+    "UL",
+]);
+
+// Phrases a field should include or avoid, from its [soft-require:…] and [soft-avoid:…] markers
+class PhraseRules {
+    /**
+     * Creates the rules from a counter's data-require and data-avoid attributes, which
+     * separate phrases with "|".
+     * @param {string} [require]
+     * @param {string} [avoid]
+     * @returns {?PhraseRules} - Null if there are no phrases
+     */
+    static fromData(require, avoid) {
+        const split = (value) =>
+            (value || "")
+                .split("|")
+                .map((phrase) => phrase.trim())
+                .filter(Boolean);
+        const rules = new PhraseRules(split(require), split(avoid));
+        return rules.required.length || rules.avoided.length ? rules : null;
+    }
+
+    /**
+     * @param {string[]} required - Phrases the content should include
+     * @param {string[]} avoided - Phrases the content should avoid
+     */
+    constructor(required, avoided) {
+        const compile = (phrase) => ({
+            phrase,
+            pattern: PhraseRules.getPattern(phrase),
+        });
+        this.required = required.map(compile);
+        this.avoided = avoided.map(compile);
+    }
+
+    /**
+     * Returns the pattern that finds a phrase: case-insensitive, with any whitespace between
+     * its words, and as whole words (so "art" isn't found in "start").
+     * @param {string} phrase
+     * @returns {RegExp}
+     */
+    static getPattern(phrase) {
+        const source = phrase
+            .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+            .replace(/\s+/g, "\\s+");
+        const wordChar = /[\p{L}\p{N}_]/u;
+        const start = wordChar.test(phrase[0]) ? "(?<![\\p{L}\\p{N}_])" : "";
+        const end = wordChar.test(phrase[phrase.length - 1])
+            ? "(?![\\p{L}\\p{N}_])"
+            : "";
+        return new RegExp(start + source + end, "giu");
+    }
+
+    /**
+     * Checks text for the phrases.
+     * @param {string} text
+     * @returns {{missing: string[], found: string[], ranges: {start: number, end: number}[]}} -
+     *   The required phrases that are missing, the avoided phrases that are used, and where
+     *   they're used in the text (in order, with overlapping ranges merged)
+     */
+    check(text) {
+        const missing = this.required
+            .filter(({ pattern }) => text.search(pattern) === -1)
+            .map(({ phrase }) => phrase);
+
+        const found = [];
+        const matches = [];
+        this.avoided.forEach(({ phrase, pattern }) => {
+            const phraseMatches = Array.from(text.matchAll(pattern));
+            if (phraseMatches.length) {
+                found.push(phrase);
+                phraseMatches.forEach((match) =>
+                    matches.push({
+                        start: match.index,
+                        end: match.index + match[0].length,
+                    })
+                );
+            }
+        });
+
+        const ranges = [];
+        matches
+            .sort((a, b) => a.start - b.start)
+            .forEach((range) => {
+                const last = ranges[ranges.length - 1];
+                if (last && range.start <= last.end) {
+                    last.end = Math.max(last.end, range.end);
+                } else {
+                    ranges.push(range);
+                }
+            });
+
+        return { missing, found, ranges };
+    }
+}
+
+// The page's one MutationObserver, shared by the manager, Table fields and handlers
+class SharedMutationObserver {
+    /**
+     * Returns the shared observer, creating it the first time it's needed.
+     * @returns {SharedMutationObserver}
+     */
+    static get() {
+        if (!SharedMutationObserver.instance) {
+            SharedMutationObserver.instance = new SharedMutationObserver();
+        }
+        return SharedMutationObserver.instance;
+    }
+
+    /**
+     * Watches the whole page for added and removed nodes, text changes and layout designer
+     * card configs, and passes each batch of mutations on to the subscribers they're within.
+     * Changes within counters are left out, as every counter update re-renders its text.
+     */
+    constructor() {
+        this.subscriptions = new Map();
+        this.observer = new MutationObserver((mutations) =>
+            this.dispatch(mutations)
+        );
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ["data-config"],
+        });
+    }
+
+    /**
+     * Subscribes to mutations within an element (including the element itself).
+     * @param {Node} element
+     * @param {function(MutationRecord[])} callback - Called once per batch, with the batch's mutations within the element
+     * @returns {{disconnect: function}} - Call disconnect() to unsubscribe, as with a MutationObserver
+     */
+    observe(element, callback) {
+        if (!this.subscriptions.has(element)) {
+            this.subscriptions.set(element, new Set());
+        }
+        this.subscriptions.get(element).add(callback);
+
+        return {
+            disconnect: () => {
+                const callbacks = this.subscriptions.get(element);
+                callbacks?.delete(callback);
+                if (callbacks && !callbacks.size) {
+                    this.subscriptions.delete(element);
+                }
+            },
+        };
+    }
+
+    /**
+     * Groups a batch of mutations by subscriber, walking up from each mutation's target,
+     * and calls each subscriber once.
+     * @param {MutationRecord[]} mutations
+     */
+    dispatch(mutations) {
+        const batches = new Map();
+
+        mutations.forEach((mutation) => {
+            const { target } = mutation;
+            const element =
+                target.nodeType === Node.ELEMENT_NODE
+                    ? target
+                    : target.parentElement;
+            if (element?.closest(SharedMutationObserver.IGNORED_SELECTOR)) {
+                return;
+            }
+
+            for (let node = target; node; node = node.parentNode) {
+                this.subscriptions.get(node)?.forEach((callback) => {
+                    if (!batches.has(callback)) {
+                        batches.set(callback, []);
+                    }
+                    batches.get(callback).push(mutation);
+                });
+            }
+        });
+
+        batches.forEach((batch, callback) => {
+            try {
+                callback(batch);
+            } catch (e) {
+                console.warn("Soft Limit: Error handling DOM changes", e);
+            }
+        });
+    }
+
+    /**
+     * Stops observing the page and drops every subscription.
+     */
+    disconnect() {
+        this.observer.disconnect();
+        this.subscriptions.clear();
+        if (SharedMutationObserver.instance === this) {
+            SharedMutationObserver.instance = null;
+        }
+    }
+}
+
+SharedMutationObserver.instance = null;
+
+// Elements whose own changes no subscriber needs
+SharedMutationObserver.IGNORED_SELECTOR = ".soft-limit-counter";
+
+// Counter updates, batched so that every counter waiting for an update is counted and rendered in one animation frame
+class UpdateQueue {
+    /**
+     * Queues a handler's update for the next animation frame.
+     * @param {BaseHandler} handler
+     */
+    static add(handler) {
+        UpdateQueue.handlers.add(handler);
+
+        if (UpdateQueue.frame === null) {
+            UpdateQueue.frame = requestAnimationFrame(() => {
+                UpdateQueue.frame = null;
+                UpdateQueue.flush();
+            });
+        }
+    }
+
+    /**
+     * Drops a handler's queued update, e.g. when it's destroyed.
+     * @param {BaseHandler} handler
+     */
+    static delete(handler) {
+        UpdateQueue.handlers.delete(handler);
+    }
+
+    /**
+     * Updates every queued handler now, e.g. before reviewing counts on save. Updates queued
+     * while flushing (e.g. a group's, after one of its fields) are made in the same flush.
+     */
+    static flush() {
+        while (UpdateQueue.handlers.size) {
+            const handlers = Array.from(UpdateQueue.handlers);
+            UpdateQueue.handlers.clear();
+
+            handlers.forEach((handler) => {
+                try {
+                    handler.updateCounter();
+                } catch (e) {
+                    console.warn("Soft Limit: Error updating counter", e);
+                }
+            });
+        }
+    }
+}
+
+UpdateQueue.handlers = new Set();
+UpdateQueue.frame = null;
+
+/**
+ * Base handler class with common functionality. Each counter has a handler, which reads the
+ * count from its input or editor and keeps the counter up to date. Handlers for other editors
+ * are registered with SoftLimitManager.registerHandler(), and extend this class
+ * (available as SoftLimitManager.BaseHandler).
+ *
+ * Handlers are constructed with the counter's input (the element with the field's input ID),
+ * its counter element and its options, and must implement:
+ * - getTextLength(), which returns the current count in this.unit. Use getCountFromText()
+ *   or getCountFromHtml() to count text or HTML in any unit.
+ * - setupEventListeners(), which calls this.scheduleUpdate() whenever the content changes.
+ *   Listen with addEventListenerTracked() and observeTracked(), and set timers with
+ *   addTimerTracked(), so they're cleaned up when the handler is destroyed. Use retryUntil()
+ *   to wait for an editor that's created after the field. Call guardPastes() to support
+ *   the paste guard.
+ *
+ * They can also override:
+ * - getText(), which returns the content as plain text (rich text blocks separated by blank
+ *   lines), for required and avoided phrase hints.
+ * - getDescribedElements(), which returns the elements the counter describes to screen
+ *   readers, e.g. the editor's editable area.
+ * - focus(), which moves focus to the editor.
+ * - canTrim(), getTrimSuggestion() and applyTrim(), for the "Trim to limit" action.
+ * - updateCounter() and destroy(), calling the parent method.
+ */
+class BaseHandler {
+    /**
+     * Base constructor that sets up common properties and resource tracking for cleanup.
+     */
+    constructor(input, counterElement, options) {
+        this.input = input;
+        this.counterElement = counterElement;
+        this.limit = options.limit;
+        this.min = options.min ?? null;
+        this.unit = options.unit || CONFIG.DEFAULT_UNIT;
+        this.warningThresholds =
+            options.warningThresholds || CONFIG.DEFAULT_WARNING_THRESHOLDS;
+        this.overThresholds =
+            options.overThresholds || CONFIG.DEFAULT_OVER_THRESHOLDS;
+        this.fieldContainer = options.fieldContainer;
+        this.highlightOverflow = options.highlightOverflow !== false;
+        this.handle = options.handle || null;
+        this.inputId = options.inputId || null;
+        this.font = options.font || CONFIG.DEFAULT_FONT;
+        this.preview = options.preview || null;
+        this.column = options.column || null;
+        this.display = options.display || DISPLAYS[0];
+        this.position = options.position || POSITIONS[0];
+
+        // Where the counter was placed, which is "below" when its position couldn't be used
+        this.placement = "below";
+
+        // State classes currently applied to the counter element
+        this.stateClasses = [];
+
+        // The counter's count and state text, and the elements it describes
+        this.countElement = null;
+        this.statusElement = null;
+        this.describedElements = [];
+
+        // The progress bar or ring, and the part of it showing the count
+        this.meterElement = null;
+        this.meterFill = null;
+
+        // The last count and status, for change detection and getDetail()
+        this.count = null;
+        this.status = null;
+
+        // Whether an IME composition is in progress
+        this.isComposing = false;
+
+        // The "Trim to limit" action, created the first time the count goes over the limit
+        this.trimSuggestion = null;
+
+        // Whether to offer to shorten pastes that go over the limit, and the notice that does
+        this.pasteGuard = options.pasteGuard === true;
+        this.pasteNotice = null;
+
+        // The group the field is in (see SoftLimitGroup), and the element showing its share of it
+        this.group = options.group || null;
+        this.shareElement = null;
+
+        // The phrases the field should include or avoid (see PhraseRules), the hints shown
+        // for them, and the result of the last check
+        this.phrases = options.phrases || null;
+        this.phraseHints = null;
+        this.phraseCheck = null;
+
+        // Whether the field has no limit of its own, e.g. when it's only in a group, so the
+        // counter only shows its group share and phrase hints
+        this.noLimit = options.noLimit === true;
+
+        // Track resources for cleanup
+        this.observers = [];
+        this.eventListeners = [];
+        this.timers = [];
+    }
+
+    /**
+     * Adds an event listener and tracks it for cleanup.
+     */
+    // Helper to track event listeners for cleanup
+    addEventListenerTracked(element, event, handler, options) {
+        element.addEventListener(event, handler, options);
+        this.eventListeners.push({ element, event, handler, options });
+    }
+
+    /**
+     * Adds a MutationObserver and tracks it for cleanup.
+     */
+    // Helper to track observers for cleanup
+    addObserverTracked(observer) {
+        this.observers.push(observer);
+        return observer;
+    }
+
+    /**
+     * Subscribes to DOM changes within an element through the shared observer, and tracks the subscription for cleanup.
+     * @param {Node} element
+     * @param {function(MutationRecord[])} callback
+     */
+    observeTracked(element, callback) {
+        return this.addObserverTracked(
+            SharedMutationObserver.get().observe(element, callback)
+        );
+    }
+
+    /**
+     * Adds a timer and tracks it for cleanup.
+     */
+    // Helper to track timers for cleanup
+    addTimerTracked(timer) {
+        this.timers.push(timer);
+        return timer;
+    }
+
+    /**
+     * Pauses counter updates while an IME composition (e.g. Japanese or Chinese input)
+     * is in progress on the element, and updates once the composition is committed.
+     */
+    trackComposition(element) {
+        this.addEventListenerTracked(element, "compositionstart", () => {
+            this.isComposing = true;
+        });
+        this.addEventListenerTracked(element, "compositionend", () => {
+            this.isComposing = false;
+            this.scheduleUpdate();
+        });
+    }
+
+    /**
+     * Queues an update for the next animation frame, batched with other counters' updates.
+     */
+    scheduleUpdate() {
+        UpdateQueue.add(this);
+    }
+
+    /**
+     * Calls check() until it returns true, e.g. while waiting for an editor to be ready. The wait
+     * doubles after each attempt, and attempts stop after CONFIG.MAX_RETRIES retries.
+     * @param {function(): boolean} check
+     * @param {number} delay - The wait before the first retry, in milliseconds
+     * @param {function} [onGiveUp] - Called if check() never returns true
+     */
+    retryUntil(check, delay, onGiveUp) {
+        let attempt = 0;
+        const run = () => {
+            if (check()) {
+                return;
+            }
+            if (attempt >= CONFIG.MAX_RETRIES) {
+                onGiveUp?.();
+                return;
+            }
+            this.addTimerTracked(setTimeout(run, delay * 2 ** attempt++));
+        };
+        run();
+    }
+
+    /**
+     * Creates a debounced version of a function to limit how often it can be called.
+     */
+    // Debounce utility function
+    debounce(func, wait) {
+        let timeout;
+        return (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func.apply(this, args), wait);
+        };
+    }
+
+    /**
+     * Sanitizes HTML content by removing dangerous scripts and event handlers.
+     */
+    // Sanitize HTML content for character counting
+    sanitizeHtml(html) {
+        if (!html || typeof html !== "string") {
+            return "";
+        }
+
+        // Remove script tags and their content
+        let sanitized = html.replace(
+            /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
+            ""
+        );
+
+        // Remove dangerous event handlers
+        sanitized = sanitized.replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, "");
+
+        // Remove javascript: URLs
+        sanitized = sanitized.replace(
+            /href\s*=\s*["']javascript:[^"']*["']/gi,
+            ""
+        );
+
+        return sanitized;
+    }
+
+    /**
+     * Counts plain text in the handler's unit.
+     */
+    getCountFromText(text) {
+        return TextMetrics.countText(text || "", this.unit, this.font);
+    }
+
+    /**
+     * Counts HTML content in the handler's unit, using its block structure.
+     */
+    // Strip HTML tags and count the text of each block
+    getCountFromHtml(html) {
+        const blocks = TextMetrics.getBlocksFromHtml(this.sanitizeHtml(html));
+        return TextMetrics.countBlocks(blocks, this.unit, this.font);
+    }
+
+    /**
+     * Returns the limit as shown in the counter, e.g. "160" or "120–160" for a range.
+     */
+    getTargetLabel() {
+        return this.min !== null
+            ? I18n.t("{min}–{limit}", {
+                  min: I18n.formatNumber(this.min),
+                  limit: I18n.formatNumber(this.limit),
+              })
+            : I18n.formatNumber(this.limit);
+    }
+
+    /**
+     * Returns the counter text for a count, e.g. "42/160", "12/40 words" or "512/580px".
+     * Characters aren't named, and pixels are abbreviated.
+     */
+    getCounterText(length) {
+        const params = {
+            count: I18n.formatNumber(length),
+            limit: this.getTargetLabel(),
+        };
+
+        switch (this.unit) {
+            case "characters":
+                return I18n.t("{count}/{limit}", params);
+            case "pixels":
+                return I18n.t("{count}/{limit}px", params);
+            default:
+                return I18n.t("{count}/{limit} {unit}", {
+                    ...params,
+                    unit: this.getUnitName(this.limit),
+                });
+        }
+    }
+
+    /**
+     * Returns the unit's name for a count, e.g. "word" or "pixels".
+     */
+    getUnitName(count) {
+        return I18n.t(UNITS[this.unit], { count });
+    }
+
+    /**
+     * Returns an amount in the counter's unit, e.g. "12 characters", "1 word" or "40px".
+     */
+    getAmountText(count) {
+        const amount = I18n.formatNumber(count);
+        return this.unit === "pixels"
+            ? I18n.t("{amount}px", { amount })
+            : I18n.t("{amount} {unit}", {
+                  amount,
+                  unit: this.getUnitName(count),
+              });
+    }
+
+    /**
+     * Returns the text shown for a count in the counter's display, e.g. "42/160" (also used
+     * for bars and rings, where it's read by screen readers), "118 characters left", "8 over" or "26%".
+     */
+    getDisplayText(length, { state }) {
+        switch (this.display) {
+            case "remaining": {
+                if (state === "too-short") {
+                    return I18n.t("{amount} to go", {
+                        amount: this.getAmountText(this.min - length),
+                    });
+                }
+                // Amounts over the limit aren't named, e.g. "8 over"
+                const over = length - this.limit;
+                if (over > 0) {
+                    return I18n.t("{amount} over", {
+                        amount:
+                            this.unit === "pixels"
+                                ? I18n.t("{amount}px", {
+                                      amount: I18n.formatNumber(over),
+                                  })
+                                : I18n.formatNumber(over),
+                    });
+                }
+                return I18n.t("{amount} left", {
+                    amount: this.getAmountText(-over),
+                });
+            }
+            case "percentage":
+                return I18n.formatPercent(length / this.limit);
+            default:
+                return this.getCounterText(length);
+        }
+    }
+
+    /**
+     * Returns the message announced when the counter crosses a threshold,
+     * e.g. "Approaching limit: 20 characters left" or "Over limit by 12 characters".
+     */
+    getStatusMessage() {
+        const length = this.count ?? 0;
+        const state = this.status ? this.status.state : "normal";
+
+        switch (state) {
+            case "warning":
+                return I18n.t("Approaching limit: {amount} left", {
+                    amount: this.getAmountText(this.limit - length),
+                });
+            case "exceeded":
+            case "way-over":
+                return length > this.limit
+                    ? I18n.t("Over limit by {amount}", {
+                          amount: this.getAmountText(length - this.limit),
+                      })
+                    : I18n.t("At limit");
+            case "too-short":
+                return I18n.t("Below minimum: {amount} more needed", {
+                    amount: this.getAmountText(this.min - length),
+                });
+            case "good":
+                return I18n.t("Within target range");
+            default:
+                return I18n.t("Within limit");
+        }
+    }
+
+    /**
+     * Determines the counter status for a count. The state is one of "normal", "warning",
+     * "exceeded", "way-over", "too-short" or "good" (within a range). The stage numbers
+     * warning stages from the one nearest the limit (1) downwards, and "way over" stages
+     * from the one nearest the limit (1) upwards.
+     * @param {number} length
+     * @returns {{state: string, stage: number}}
+     */
+    getStatus(length) {
+        const percentage = (length / this.limit) * 100;
+
+        const overStage = this.overThresholds.filter(
+            (threshold) => percentage >= threshold
+        ).length;
+        if (overStage > 0) {
+            return { state: "way-over", stage: overStage };
+        }
+
+        // Within a range, reaching the maximum is fine; only going past it isn't
+        if (this.min !== null) {
+            if (length > this.limit) {
+                return { state: "exceeded", stage: 0 };
+            }
+            // An empty field isn't flagged as too short until something is written
+            if (length === 0) {
+                return { state: "normal", stage: 0 };
+            }
+            return {
+                state: length < this.min ? "too-short" : "good",
+                stage: 0,
+            };
+        }
+
+        if (percentage >= 100) {
+            return { state: "exceeded", stage: 0 };
+        }
+
+        const warningsReached = this.warningThresholds.filter(
+            (threshold) => percentage >= threshold
+        ).length;
+        if (warningsReached > 0) {
+            return {
+                state: "warning",
+                stage: this.warningThresholds.length - warningsReached + 1,
+            };
+        }
+
+        return { state: "normal", stage: 0 };
+    }
+
+    /**
+     * Returns the classes to apply to the counter element for a status.
+     * "Way over" counters keep the exceeded class, so they're styled as exceeded by default.
+     */
+    getStateClasses({ state, stage }) {
+        switch (state) {
+            case "warning":
+                return ["soft-limit-warning", `soft-limit-warning-${stage}`];
+            case "way-over":
+                return [
+                    "soft-limit-exceeded",
+                    "soft-limit-way-over",
+                    `soft-limit-way-over-${stage}`,
+                ];
+            case "normal":
+                return [];
+            default:
+                return [`soft-limit-${state}`];
+        }
+    }
+
+    /**
+     * Updates the counter display with current count and applies appropriate styling.
+     */
+    updateCounter() {
+        // Keep the count stable until the composition is committed
+        if (this.isComposing) {
+            return;
+        }
+
+        const length = this.getTextLength();
+
+        this.renderPhraseHints();
+
+        // Fields without a limit of their own only show their group share, which the group renders
+        if (this.noLimit) {
+            this.count = length;
+            this.group?.scheduleUpdate();
+            return;
+        }
+
+        const status = this.getStatus(length);
+
+        this.renderCounter(length, status);
+
+        // Update styling based on limit
+        this.counterElement.classList.remove(...this.stateClasses);
+        this.stateClasses = this.getStateClasses(status);
+        this.counterElement.classList.add(...this.stateClasses);
+
+        this.renderTrimSuggestion(length);
+
+        // Paste notices no longer apply once the content has changed
+        this.pasteNotice?.update();
+
+        this.dispatchChanges(length, status);
+
+        this.group?.scheduleUpdate();
+    }
+
+    /**
+     * Returns the count in another unit, e.g. for a group that counts in a different unit.
+     * @param {string} unit
+     * @returns {number}
+     */
+    getCountIn(unit) {
+        if (unit === this.unit && this.count !== null) {
+            return this.count;
+        }
+
+        const ownUnit = this.unit;
+        this.unit = unit;
+        try {
+            return this.getTextLength();
+        } finally {
+            this.unit = ownUnit;
+        }
+    }
+
+    /**
+     * Shows the field's share of its group's total, after the count (or in its place, for
+     * fields without a limit of their own).
+     * @param {string} text - e.g. "hero: 42 of 120 characters"
+     */
+    renderGroupShare(text) {
+        if (!this.shareElement) {
+            this.shareElement = document.createElement("span");
+            this.shareElement.className = "soft-limit-group-share";
+            if (this.noLimit) {
+                this.counterElement.replaceChildren(this.shareElement);
+            } else {
+                this.counterElement.appendChild(this.shareElement);
+            }
+        }
+        if (this.shareElement.textContent !== text) {
+            this.shareElement.textContent = text;
+        }
+    }
+
+    /**
+     * Returns the content as plain text, with rich text blocks separated by blank lines, or
+     * null if the handler can't read it. Phrase hints are only shown for handlers that can.
+     * @returns {?string}
+     */
+    getText() {
+        return null;
+    }
+
+    /**
+     * Returns HTML content as plain text, with its blocks separated by blank lines.
+     * @param {string} html
+     * @returns {string}
+     */
+    getTextFromHtml(html) {
+        return TextMetrics.getBlocksFromHtml(this.sanitizeHtml(html)).join(
+            "\n\n"
+        );
+    }
+
+    /**
+     * Checks the content for required and avoided phrases, and shows hints for any that are
+     * missing or used. The result is kept in this.phraseCheck for handlers that highlight
+     * avoided phrases.
+     */
+    renderPhraseHints() {
+        if (!this.phraseHints) {
+            return;
+        }
+
+        const text = this.getText();
+        this.phraseCheck = text !== null ? this.phrases.check(text) : null;
+        this.phraseHints.update(this.phraseCheck);
+    }
+
+    /**
+     * Shows the "Trim to limit" action while the count is over the limit, for handlers that can trim.
+     * A count at the limit has nothing to trim, although it's shown in the exceeded state.
+     * @param {number} length
+     */
+    renderTrimSuggestion(length) {
+        const isOver = length > this.limit;
+        if (!this.trimSuggestion) {
+            if (!isOver || !this.canTrim()) {
+                return;
+            }
+            this.trimSuggestion = new TrimSuggestion(
+                this.getActionAnchor(),
+                this
+            );
+        }
+        this.trimSuggestion.update(isOver);
+    }
+
+    /**
+     * Returns the element that actions and notices below the field go after: the counter,
+     * or the input if the counter isn't below it.
+     */
+    getActionAnchor() {
+        return this.placement === "below"
+            ? this.counterElement
+            : this.input.closest(".input") || this.input;
+    }
+
+    /**
+     * Checks if the content can be trimmed to the limit. Handlers that can trim their
+     * content override this, getTrimSuggestion() and applyTrim().
+     * @returns {boolean}
+     */
+    canTrim() {
+        return false;
+    }
+
+    /**
+     * Returns the content trimmed to the limit at a sentence or word boundary (see
+     * TextMetrics.trimOffset()), or null if it's within the limit.
+     * @returns {{kept: string, removed: string, count: number}|null} - The text that's kept and
+     *   removed, and the count once it's trimmed
+     */
+    getTrimSuggestion() {
+        return null;
+    }
+
+    /**
+     * Trims the content as suggested by getTrimSuggestion().
+     */
+    applyTrim() {}
+
+    /**
+     * Watches an input or editable element for pastes that take the field over its limit, when
+     * the paste guard is on. What was pasted is found by comparing the text before and after.
+     * @param {HTMLElement} element
+     * @param {function(): string} getText - Returns the text, with rich text blocks separated by blank lines
+     * @param {function(number, number): void} removeText - Removes the text between two offsets
+     * @param {boolean} [blocks] - Whether the text is rich text blocks
+     */
+    guardPastes(element, getText, removeText, blocks = false) {
+        if (!this.pasteGuard) {
+            return;
+        }
+
+        this.addEventListenerTracked(element, "paste", () => {
+            const before = getText();
+            this.addTimerTracked(
+                setTimeout(() => {
+                    const text = getText();
+                    const pasted = BaseHandler.getInsertedRange(before, text);
+                    if (!pasted) {
+                        return;
+                    }
+                    this.offerPasteOptions({
+                        text,
+                        ...pasted,
+                        blocks,
+                        isCurrent: () => getText() === text,
+                        keep: (cut) => removeText(cut, pasted.end),
+                    });
+                }, CONFIG.PASTE_DELAY)
+            );
+        });
+    }
+
+    /**
+     * Shows a notice if a paste took the field over its limit, offering to keep only the
+     * pasted text that fits, or up to its last full sentence that fits.
+     * @param {Object} paste
+     * @param {string} paste.text - The content's text after the paste
+     * @param {number} paste.start - Where the pasted text starts in the text
+     * @param {number} paste.end - Where the pasted text ends in the text
+     * @param {boolean} paste.blocks - Whether the text is rich text blocks separated by blank lines
+     * @param {function(): boolean} paste.isCurrent - Whether the content is unchanged since the paste
+     * @param {function(number): void} paste.keep - Removes the pasted text from an offset onwards
+     */
+    offerPasteOptions({ text, start, end, blocks, isCurrent, keep }) {
+        const count = (value) =>
+            blocks
+                ? TextMetrics.countBlocks(
+                      value.split("\n\n"),
+                      this.unit,
+                      this.font
+                  )
+                : this.getCountFromText(value);
+
+        const total = count(text);
+        if (total <= this.limit) {
+            return;
+        }
+
+        // Find how much of the pasted text fits, with whatever follows it
+        const fits = (cut) =>
+            count(text.slice(0, cut) + text.slice(end)) <= this.limit;
+        let low = start;
+        let high = end;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (fits(middle)) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        let firstCut = start;
+        for (const unitStart of TextMetrics.unitStarts(text, "characters")) {
+            if (unitStart > low) {
+                break;
+            }
+            firstCut = Math.max(start, unitStart);
+        }
+        if (firstCut === start) {
+            return;
+        }
+
+        const options = [
+            {
+                label: I18n.t("Keep first {amount}", {
+                    amount: this.getAmountText(
+                        count(text.slice(start, firstCut))
+                    ),
+                }),
+                cut: firstCut,
+            },
+        ];
+        const sentenceCut = TextMetrics.sentenceOffset(text, firstCut);
+        if (sentenceCut > start) {
+            options.push({
+                label: I18n.t("Keep up to last full sentence"),
+                cut: sentenceCut,
+            });
+        }
+
+        if (!this.pasteNotice) {
+            this.pasteNotice = new PasteNotice(this.getActionAnchor(), this);
+        }
+        this.pasteNotice.show(
+            I18n.t(
+                "The pasted text takes this field {amount} over its limit.",
+                {
+                    amount: this.getAmountText(total - this.limit),
+                }
+            ),
+            options.map(({ label, cut }) => ({
+                label,
+                apply: () => keep(cut),
+            })),
+            isCurrent
+        );
+    }
+
+    /**
+     * Finds the text inserted by a change, from the text before and after it.
+     * @param {string} before
+     * @param {string} after
+     * @returns {{start: number, end: number}|null} - Where the inserted text is in the text after
+     */
+    static getInsertedRange(before, after) {
+        const length = Math.min(before.length, after.length);
+
+        let start = 0;
+        while (start < length && before[start] === after[start]) {
+            start++;
+        }
+
+        let suffix = 0;
+        while (
+            suffix < length - start &&
+            before[before.length - 1 - suffix] ===
+                after[after.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        const end = after.length - suffix;
+        return end > start ? { start, end } : null;
+    }
+
+    /**
+     * Renders the count, followed by the state as text for screen readers.
+     * Each state also has an icon (added in CSS), so it isn't conveyed by colour alone.
+     */
+    renderCounter(length, status) {
+        if (!this.countElement) {
+            this.countElement = document.createElement("span");
+            this.countElement.className = "soft-limit-count";
+            this.statusElement = document.createElement("span");
+            this.statusElement.className = "soft-limit-status";
+
+            const children = [this.countElement, this.statusElement];
+            if (this.display === "bar" || this.display === "ring") {
+                this.meterElement = this.createMeter();
+                children.unshift(this.meterElement);
+            }
+            this.counterElement.replaceChildren(...children);
+        }
+
+        this.countElement.textContent = this.getDisplayText(length, status);
+        this.statusElement.textContent = STATE_LABELS[status.state]
+            ? I18n.t(STATE_LABELS[status.state])
+            : "";
+
+        if (this.meterElement) {
+            this.renderMeter(length);
+        }
+    }
+
+    /**
+     * Creates the progress bar or ring for the "bar" and "ring" displays. It's hidden from
+     * screen readers, which read the count instead. Bars for ranges mark the minimum.
+     * @returns {Element}
+     */
+    createMeter() {
+        if (this.display === "ring") {
+            const namespace = "http://www.w3.org/2000/svg";
+            const ring = document.createElementNS(namespace, "svg");
+            ring.setAttribute("class", "soft-limit-ring");
+            ring.setAttribute("viewBox", "0 0 20 20");
+            ring.setAttribute("aria-hidden", "true");
+
+            ["track", "fill"].forEach((part) => {
+                const circle = document.createElementNS(namespace, "circle");
+                circle.setAttribute("class", `soft-limit-ring-${part}`);
+                circle.setAttribute("cx", "10");
+                circle.setAttribute("cy", "10");
+                circle.setAttribute("r", "8");
+                circle.setAttribute("pathLength", "100");
+                ring.appendChild(circle);
+            });
+
+            this.meterFill = ring.lastChild;
+            return ring;
+        }
+
+        const bar = document.createElement("span");
+        bar.className = "soft-limit-bar";
+        bar.setAttribute("aria-hidden", "true");
+
+        this.meterFill = document.createElement("span");
+        this.meterFill.className = "soft-limit-bar-fill";
+        bar.appendChild(this.meterFill);
+
+        if (this.min !== null) {
+            const minMark = document.createElement("span");
+            minMark.className = "soft-limit-bar-min";
+            minMark.style.left = `${(this.min / this.limit) * 100}%`;
+            bar.appendChild(minMark);
+        }
+
+        return bar;
+    }
+
+    /**
+     * Fills the progress bar or ring up to the count, stopping at the limit.
+     */
+    renderMeter(length) {
+        const percentage = Math.min(100, (length / this.limit) * 100);
+
+        if (this.display === "ring") {
+            this.meterFill.setAttribute(
+                "stroke-dasharray",
+                `${percentage} 100`
+            );
+        } else {
+            this.meterFill.style.width = `${percentage}%`;
+        }
+    }
+
+    /**
+     * Moves the counter next to the field's label, or into the corner of the input, when its
+     * position says so. Counters stay below the input when there's nowhere else to put them,
+     * and Table cell counters always stay below their cell's input.
+     */
+    placeCounter() {
+        this.counterElement.classList.add(`soft-limit-display-${this.display}`);
+
+        if (this.column || this.position === "below") {
+            return;
+        }
+
+        if (this.position === "label") {
+            const heading =
+                this.fieldContainer?.querySelector(":scope > .heading");
+            if (heading) {
+                heading.appendChild(this.counterElement);
+                this.placement = "label";
+            }
+        } else {
+            const anchor = this.getCornerAnchor();
+            if (anchor) {
+                anchor.classList.add("soft-limit-corner-parent");
+                anchor.appendChild(this.counterElement);
+                this.placement = "corner";
+            }
+        }
+
+        this.counterElement.classList.add(
+            `soft-limit-position-${this.placement}`
+        );
+    }
+
+    /**
+     * Returns the element a counter in the "corner" position is placed in, or null if the
+     * field doesn't support it. Handlers for editors override this to return the editor's frame.
+     */
+    getCornerAnchor() {
+        return this.input.parentElement;
+    }
+
+    /**
+     * Returns the elements the counter describes: the input, or an editor's editable area.
+     */
+    getDescribedElements() {
+        return [this.input];
+    }
+
+    /**
+     * Links the counter (and its phrase hints) to its input with aria-describedby, so that
+     * screen readers read the count and state along with the field.
+     */
+    describeInput() {
+        this.undescribeInput();
+
+        if (!this.counterElement.id) {
+            this.counterElement.id = `${this.inputId}-soft-limit`;
+        }
+
+        this.describedElements = this.getDescribedElements();
+        this.describedElements.forEach((element) => this.describe(element));
+    }
+
+    /**
+     * Removes the counter from the aria-describedby attributes it was added to.
+     */
+    undescribeInput() {
+        this.describedElements.forEach((element) => this.undescribe(element));
+        this.describedElements = [];
+    }
+
+    /**
+     * Returns the IDs of the elements that describe the input: the counter, and its phrase hints.
+     * @returns {string[]}
+     */
+    getDescriptionIds() {
+        return this.phraseHints
+            ? [this.counterElement.id, this.phraseHints.element.id]
+            : [this.counterElement.id];
+    }
+
+    /**
+     * Adds the counter's description IDs to an element's aria-describedby attribute.
+     * @param {HTMLElement} element
+     */
+    describe(element) {
+        element.setAttribute(
+            "aria-describedby",
+            this.getDescriptionIds().reduce(
+                (value, id) => BaseHandler.addIdReference(value, id),
+                element.getAttribute("aria-describedby")
+            )
+        );
+    }
+
+    /**
+     * Removes the counter's description IDs from an element's aria-describedby attribute.
+     * @param {HTMLElement} element
+     */
+    undescribe(element) {
+        const value = this.getDescriptionIds().reduce(
+            (value, id) => BaseHandler.removeIdReference(value, id),
+            element.getAttribute("aria-describedby")
+        );
+        if (value) {
+            element.setAttribute("aria-describedby", value);
+        } else {
+            element.removeAttribute("aria-describedby");
+        }
+    }
+
+    /**
+     * Adds an ID to a space-separated ID reference list (e.g. an aria-describedby value).
+     * @param {?string} value
+     * @param {string} id
+     * @returns {string}
+     */
+    static addIdReference(value, id) {
+        const ids = (value || "").split(/\s+/).filter(Boolean);
+        if (!ids.includes(id)) {
+            ids.push(id);
+        }
+        return ids.join(" ");
+    }
+
+    /**
+     * Removes an ID from a space-separated ID reference list.
+     * @param {?string} value
+     * @param {string} id
+     * @returns {string}
+     */
+    static removeIdReference(value, id) {
+        return (value || "")
+            .split(/\s+/)
+            .filter((ref) => ref && ref !== id)
+            .join(" ");
+    }
+
+    /**
+     * Returns the details of the counter's current status, as passed to event listeners.
+     */
+    getDetail() {
+        return {
+            handle: this.handle,
+            column: this.column,
+            inputId: this.inputId,
+            input: this.input,
+            count: this.count,
+            limit: this.limit,
+            min: this.min,
+            unit: this.unit,
+            state: this.status ? this.status.state : "normal",
+            stage: this.status ? this.status.stage : 0,
+            group: this.group ? this.group.name : null,
+        };
+    }
+
+    /**
+     * Dispatches counter events from the field container when the count or state changes.
+     * "update" is dispatched for every change, followed by "warning" or "exceeded" when
+     * the counter enters those states, or "recovered" when it leaves them.
+     */
+    dispatchChanges(length, status) {
+        const previous = this.status;
+        const stateChanged = !previous || previous.state !== status.state;
+
+        if (
+            previous &&
+            !stateChanged &&
+            previous.stage === status.stage &&
+            this.count === length
+        ) {
+            return;
+        }
+
+        this.count = length;
+        this.status = status;
+
+        const detail = {
+            ...this.getDetail(),
+            previousState: previous ? previous.state : null,
+            previousStage: previous ? previous.stage : null,
+        };
+        const target = this.fieldContainer || this.counterElement;
+        const dispatch = (name) =>
+            target.dispatchEvent(
+                new CustomEvent(name, { bubbles: true, detail })
+            );
+
+        dispatch(EVENTS.UPDATE);
+
+        if (!stateChanged) {
+            return;
+        }
+
+        const isOver = (state) => state === "exceeded" || state === "way-over";
+        const isFlagged = (state) =>
+            state === "warning" || state === "too-short" || isOver(state);
+
+        if (status.state === "warning") {
+            dispatch(EVENTS.WARNING);
+        } else if (isOver(status.state)) {
+            if (!previous || !isOver(previous.state)) {
+                dispatch(EVENTS.EXCEEDED);
+            }
+        } else if (previous && isFlagged(previous.state)) {
+            dispatch(EVENTS.RECOVERED);
+        }
+    }
+
+    /**
+     * Moves focus to the input. Handlers for editors override this to focus the editor.
+     */
+    focus() {
+        this.input.focus({ preventScroll: true });
+    }
+
+    /**
+     * Initializes the handler by updating the counter and setting up event listeners.
+     */
+    init() {
+        this.placeCounter();
+        if (this.phrases) {
+            this.phraseHints = new PhraseHints(this.getActionAnchor(), this);
+        }
+        this.describeInput();
+        this.updateCounter();
+        this.setupEventListeners();
+    }
+
+    // Abstract methods to be implemented by subclasses
+    // getTextLength() returns the current count in the handler's unit
+    getTextLength() {
+        throw new Error("getTextLength must be implemented by subclass");
+    }
+
+    setupEventListeners() {
+        throw new Error("setupEventListeners must be implemented by subclass");
+    }
+
+    /**
+     * Cleans up all tracked resources including event listeners, observers, and timers.
+     */
+    destroy() {
+        // Clean up event listeners
+        this.eventListeners.forEach(({ element, event, handler, options }) => {
+            element.removeEventListener(event, handler, options);
+        });
+        this.eventListeners = [];
+
+        // Clean up observers
+        this.observers.forEach((observer) => observer.disconnect());
+        this.observers = [];
+
+        // Clean up timers
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers = [];
+
+        UpdateQueue.delete(this);
+
+        this.trimSuggestion?.destroy();
+        this.trimSuggestion = null;
+        this.pasteNotice?.destroy();
+        this.pasteNotice = null;
+        this.shareElement?.remove();
+        this.shareElement = null;
+
+        this.undescribeInput();
+
+        this.phraseHints?.destroy();
+        this.phraseHints = null;
+    }
+}
+
+// Plain text handler
+class PlainTextHandler extends BaseHandler {
+    /**
+     * Creates a plain text handler. The overflow highlighter is created the first
+     * time the text goes over the limit, or uses an avoided phrase.
+     */
+    constructor(input, counterElement, options) {
+        super(input, counterElement, options);
+        this.highlighter = null;
+        this.searchPreview = null;
+    }
+
+    /**
+     * Returns the count from the textarea value.
+     */
+    getTextLength() {
+        return this.getCountFromText(this.input.value);
+    }
+
+    /**
+     * Returns the input's value.
+     */
+    getText() {
+        return this.input.value || "";
+    }
+
+    /**
+     * Updates the counter, then highlights any text beyond the limit and avoided phrases.
+     */
+    updateCounter() {
+        super.updateCounter();
+
+        if (!this.isComposing) {
+            this.renderHighlights();
+            this.renderPreview();
+        }
+    }
+
+    /**
+     * Text inputs can be trimmed, except in Table cells, which don't have room for the diff.
+     */
+    canTrim() {
+        return !this.column && !this.input.readOnly && !this.input.disabled;
+    }
+
+    /**
+     * Suggests the input's value trimmed to the limit.
+     */
+    getTrimSuggestion() {
+        const value = this.input.value || "";
+        const offset = TextMetrics.offsetAtLimit(
+            value,
+            this.unit,
+            this.limit,
+            this.font
+        );
+        if (offset === null) {
+            return null;
+        }
+
+        const cut = TextMetrics.trimOffset(value, offset);
+        const kept = value.slice(0, cut);
+        return {
+            kept,
+            removed: value.slice(cut),
+            count: this.getCountFromText(kept),
+        };
+    }
+
+    /**
+     * Sets the input's value to the trimmed text, letting Craft know that it changed.
+     */
+    applyTrim({ kept }) {
+        this.setValue(kept);
+    }
+
+    /**
+     * Sets the input's value, letting Craft know that it changed.
+     */
+    setValue(value) {
+        this.input.value = value;
+        this.input.dispatchEvent(new Event("input", { bubbles: true }));
+        this.input.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+
+    /**
+     * Shows the search result preview below the counter, if the field has one.
+     */
+    renderPreview() {
+        if (!this.preview) {
+            return;
+        }
+
+        if (!this.searchPreview) {
+            // Previews go below the input, wherever the counter is
+            const anchor =
+                this.placement === "below"
+                    ? this.counterElement
+                    : this.input.closest(".input") || this.input;
+            this.searchPreview = new SearchPreview(anchor, {
+                type: this.preview,
+                font: this.font,
+                width: this.limit,
+            });
+        }
+        this.searchPreview.update(this.input.value || "");
+    }
+
+    /**
+     * Highlights the text beyond the limit, and any avoided phrases, behind the input.
+     */
+    renderHighlights() {
+        if (!OverflowHighlighter.supports(this.input)) {
+            return;
+        }
+
+        const value = this.input.value || "";
+        const overflowStart = this.highlightOverflow
+            ? TextMetrics.offsetAtLimit(value, this.unit, this.limit, this.font)
+            : null;
+        const phraseRanges = this.phraseCheck?.ranges ?? [];
+
+        if (overflowStart === null && !phraseRanges.length) {
+            this.highlighter?.clear();
+            return;
+        }
+
+        if (!this.highlighter) {
+            this.highlighter = new OverflowHighlighter(this.input);
+        }
+        this.highlighter.update(value, overflowStart, phraseRanges);
+    }
+
+    /**
+     * Sets up event listeners for plain text input fields.
+     */
+    setupEventListeners() {
+        // Updates are batched into the next animation frame
+        const updateCounter = () => this.scheduleUpdate();
+        const debouncedUpdate = this.debounce(
+            updateCounter,
+            CONFIG.DEBOUNCE_FAST
+        );
+
+        this.addEventListenerTracked(this.input, "input", debouncedUpdate);
+        this.addEventListenerTracked(this.input, "keyup", debouncedUpdate);
+        this.addEventListenerTracked(this.input, "change", updateCounter);
+        this.addEventListenerTracked(this.input, "paste", () =>
+            this.addTimerTracked(setTimeout(updateCounter, 10))
+        );
+        this.trackComposition(this.input);
+
+        // The highlight would drift while uncommitted text is shown, so hide it until then
+        this.addEventListenerTracked(this.input, "compositionstart", () =>
+            this.highlighter?.clear()
+        );
+
+        this.guardPastes(
+            this.input,
+            () => this.input.value,
+            (start, end) => {
+                const value = this.input.value;
+                this.setValue(value.slice(0, start) + value.slice(end));
+                this.input.setSelectionRange(start, start);
+            }
+        );
+    }
+
+    /**
+     * Cleans up tracked resources and the overflow highlighter.
+     */
+    destroy() {
+        super.destroy();
+        this.highlighter?.destroy();
+        this.highlighter = null;
+        this.searchPreview?.destroy();
+        this.searchPreview = null;
+    }
+}
+
+// Search result preview shown below fields with pixel limits
+class SearchPreview {
+    /**
+     * Creates the preview element after the anchor: the counter, or the input if the counter isn't below it.
+     * @param {HTMLElement} anchor
+     * @param {{type: string, font: string, width: number}} options - The type is
+     * "title" or "description", and the width is where search engines cut the text
+     */
+    constructor(anchor, options) {
+        this.font = options.font;
+        this.width = options.width;
+
+        this.element = document.createElement("div");
+        this.element.className = `soft-limit-preview soft-limit-preview-${options.type}`;
+
+        const label = document.createElement("div");
+        label.className = "soft-limit-preview-label";
+        label.textContent = I18n.t("Search result preview");
+
+        this.text = document.createElement("div");
+        this.text.className = "soft-limit-preview-text";
+        this.text.style.font = this.font;
+        this.text.style.maxWidth = `${this.width}px`;
+
+        this.element.append(label, this.text);
+        anchor.after(this.element);
+    }
+
+    /**
+     * Shows the text on a single line, cut at the last whole word that fits
+     * with an ellipsis, as search engines do.
+     * @param {string} value
+     */
+    update(value) {
+        const text = value.replace(/\s+/g, " ").trim();
+        this.text.textContent = this.truncate(text);
+        this.text.title = text;
+        this.element.classList.toggle("soft-limit-preview-empty", !text);
+    }
+
+    /**
+     * Returns the text as it would be shown, with an ellipsis if it's cut.
+     * @param {string} text
+     * @returns {string}
+     */
+    truncate(text) {
+        if (TextMetrics.measureWidth(text, this.font) <= this.width) {
+            return text;
+        }
+
+        const available =
+            this.width -
+            TextMetrics.measureWidth(` ${CONFIG.PREVIEW_ELLIPSIS}`, this.font);
+        const cut = TextMetrics.offsetAtWidth(text, available, this.font) ?? 0;
+        let shown = text.slice(0, cut);
+
+        // Only cut mid-word if it's the first word
+        const wordEnd = shown.lastIndexOf(" ");
+        if (wordEnd > 0 && text[cut] !== " ") {
+            shown = shown.slice(0, wordEnd);
+        }
+
+        return `${shown.trimEnd()} ${CONFIG.PREVIEW_ELLIPSIS}`;
+    }
+
+    /**
+     * Removes the preview element.
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+// "Trim to limit" action for fields over their limit, which shows the shortened text as a diff before applying it
+class TrimSuggestion {
+    /**
+     * Creates the action after the anchor: the counter, or the input if the counter isn't below it.
+     * @param {HTMLElement} anchor
+     * @param {BaseHandler} handler - The handler that suggests (getTrimSuggestion()) and applies (applyTrim()) the trim
+     */
+    constructor(anchor, handler) {
+        this.handler = handler;
+        this.suggestion = null;
+
+        this.element = document.createElement("div");
+        this.element.className = "soft-limit-trim";
+
+        this.panel = document.createElement("div");
+        this.panel.className = "soft-limit-trim-panel";
+        this.panel.id = `${handler.inputId}-soft-limit-trim`;
+        this.panel.setAttribute("role", "group");
+        this.panel.setAttribute("aria-label", I18n.t("Trim to limit"));
+        this.panel.hidden = true;
+        this.panel.addEventListener("keydown", (event) => {
+            if (event.key === "Escape") {
+                event.stopPropagation();
+                this.close();
+                this.button.focus();
+            }
+        });
+
+        this.button = document.createElement("button");
+        this.button.type = "button";
+        this.button.className = "btn small soft-limit-trim-button";
+        this.button.textContent = I18n.t("Trim to limit");
+        this.button.setAttribute("aria-expanded", "false");
+        this.button.setAttribute("aria-controls", this.panel.id);
+        this.button.addEventListener("click", () =>
+            this.suggestion ? this.close() : this.open()
+        );
+
+        this.element.append(this.button, this.panel);
+        anchor.after(this.element);
+    }
+
+    /**
+     * Shows the action while the field is over its limit, refreshing the diff if it's open.
+     * @param {boolean} isOver
+     */
+    update(isOver) {
+        this.element.hidden = !isOver;
+
+        if (!isOver) {
+            this.close();
+        } else if (this.suggestion) {
+            this.open();
+        }
+    }
+
+    /**
+     * Shows the suggested trim as a diff, with buttons to apply or dismiss it.
+     */
+    open() {
+        const suggestion = this.handler.getTrimSuggestion();
+        if (!suggestion) {
+            this.close();
+            return;
+        }
+        if (
+            this.suggestion &&
+            suggestion.kept === this.suggestion.kept &&
+            suggestion.removed === this.suggestion.removed
+        ) {
+            return;
+        }
+        this.suggestion = suggestion;
+
+        const diff = document.createElement("div");
+        diff.className = "soft-limit-trim-diff";
+        const kept = document.createElement("span");
+        kept.textContent = suggestion.kept;
+        const removed = document.createElement("del");
+        removed.textContent = suggestion.removed;
+        diff.append(kept, removed);
+
+        const summary = document.createElement("p");
+        summary.className = "soft-limit-trim-summary";
+        summary.textContent = I18n.t("After trimming: {count}", {
+            count: this.handler.getCounterText(suggestion.count),
+        });
+
+        const buttons = document.createElement("div");
+        buttons.className = "buttons";
+
+        const applyButton = document.createElement("button");
+        applyButton.type = "button";
+        applyButton.className = "btn small submit";
+        applyButton.textContent = I18n.t("Trim");
+        applyButton.addEventListener("click", () => this.apply());
+
+        const cancelButton = document.createElement("button");
+        cancelButton.type = "button";
+        cancelButton.className = "btn small";
+        cancelButton.textContent = I18n.t("Cancel");
+        cancelButton.addEventListener("click", () => {
+            this.close();
+            this.button.focus();
+        });
+
+        buttons.append(applyButton, cancelButton);
+        this.panel.replaceChildren(diff, summary, buttons);
+        this.panel.hidden = false;
+        this.button.setAttribute("aria-expanded", "true");
+    }
+
+    /**
+     * Applies the trim, unless the content has changed since it was shown, in which case
+     * the diff is shown again for the current content.
+     */
+    apply() {
+        const previous = this.suggestion;
+        this.open();
+        if (this.suggestion !== previous) {
+            return;
+        }
+
+        this.close();
+        this.handler.applyTrim(previous);
+        this.handler.focus();
+    }
+
+    /**
+     * Hides the diff.
+     */
+    close() {
+        this.suggestion = null;
+        this.panel.hidden = true;
+        this.panel.replaceChildren();
+        this.button.setAttribute("aria-expanded", "false");
+    }
+
+    /**
+     * Removes the action.
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+// Notice shown below a field when a paste takes it over its limit, offering to keep only part of the pasted text
+class PasteNotice {
+    /**
+     * Creates the notice after the anchor: the counter, or the input if the counter isn't below it.
+     * @param {HTMLElement} anchor
+     * @param {BaseHandler} handler
+     */
+    constructor(anchor, handler) {
+        this.handler = handler;
+        this.isCurrent = null;
+
+        this.element = document.createElement("div");
+        this.element.className = "soft-limit-paste-notice";
+        this.element.setAttribute("role", "group");
+        this.element.hidden = true;
+        this.element.addEventListener("keydown", (event) => {
+            if (event.key === "Escape") {
+                event.stopPropagation();
+                this.close();
+                this.handler.focus();
+            }
+        });
+
+        this.message = document.createElement("p");
+        this.message.id = `${handler.inputId}-soft-limit-paste`;
+        this.message.setAttribute("role", "status");
+        this.element.setAttribute("aria-labelledby", this.message.id);
+
+        this.buttons = document.createElement("div");
+        this.buttons.className = "buttons";
+
+        this.element.append(this.message, this.buttons);
+        anchor.after(this.element);
+    }
+
+    /**
+     * Shows the notice, with a "Keep all" button and a button for each option.
+     * @param {string} message
+     * @param {{label: string, apply: function}[]} options
+     * @param {function(): boolean} isCurrent - Whether the content is unchanged since the paste
+     */
+    show(message, options, isCurrent) {
+        this.isCurrent = isCurrent;
+        this.message.textContent = message;
+
+        const keepAll = { label: I18n.t("Keep all"), apply: () => {} };
+        this.buttons.replaceChildren(
+            ...[keepAll, ...options].map(({ label, apply }, index) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = index ? "btn small" : "btn small submit";
+                button.textContent = label;
+                button.addEventListener("click", () => {
+                    // Options only apply to the content as it was pasted
+                    if (this.isCurrent?.()) {
+                        apply();
+                    }
+                    this.close();
+                    this.handler.focus();
+                });
+                return button;
+            })
+        );
+
+        this.element.hidden = false;
+    }
+
+    /**
+     * Hides the notice once the content has changed since the paste.
+     */
+    update() {
+        if (this.isCurrent && !this.isCurrent()) {
+            this.close();
+        }
+    }
+
+    /**
+     * Hides the notice.
+     */
+    close() {
+        this.isCurrent = null;
+        this.element.hidden = true;
+        this.buttons.replaceChildren();
+    }
+
+    /**
+     * Removes the notice.
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+// Hints shown below a field when a required phrase is missing or an avoided phrase is used
+class PhraseHints {
+    /**
+     * Creates the (empty) list of hints after the anchor: the counter, or the input if the counter isn't below it.
+     * @param {HTMLElement} anchor
+     * @param {BaseHandler} handler
+     */
+    constructor(anchor, handler) {
+        this.key = null;
+
+        this.element = document.createElement("ul");
+        this.element.className = "soft-limit-hints";
+        this.element.id = `${handler.inputId}-soft-limit-hints`;
+        this.element.hidden = true;
+        anchor.after(this.element);
+    }
+
+    /**
+     * Shows a hint for each missing and used phrase, or hides the list if there are none.
+     * @param {?{missing: string[], found: string[]}} check - The result of PhraseRules.check()
+     */
+    update(check) {
+        const { missing = [], found = [] } = check || {};
+
+        // Only touch the DOM when the hints change, as this runs on every update
+        const key = JSON.stringify([missing, found]);
+        if (key === this.key) {
+            return;
+        }
+        this.key = key;
+
+        this.element.replaceChildren(
+            ...PhraseHints.createItems({ missing, found })
+        );
+        this.element.hidden = !missing.length && !found.length;
+    }
+
+    /**
+     * Creates a hint for each missing and used phrase.
+     * @param {{missing: string[], found: string[]}} check - The result of PhraseRules.check()
+     * @returns {HTMLLIElement[]}
+     */
+    static createItems(check) {
+        return [
+            ...check.missing.map((phrase) => ({
+                type: "require",
+                text: I18n.t("Include “{phrase}”", { phrase }),
+            })),
+            ...check.found.map((phrase) => ({
+                type: "avoid",
+                text: I18n.t("Avoid “{phrase}”", { phrase }),
+            })),
+        ].map(({ type, text }) => {
+            const item = document.createElement("li");
+            item.className = `soft-limit-hint soft-limit-hint-${type}`;
+            item.textContent = text;
+            return item;
+        });
+    }
+
+    /**
+     * Removes the hints.
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+// Highlights text beyond the limit, and avoided phrases, in a plain text input or textarea
+class OverflowHighlighter {
+    /**
+     * Checks if an input can be highlighted (textareas and single-line text inputs).
+     */
+    static supports(input) {
+        return (
+            input.tagName === "TEXTAREA" ||
+            (input.tagName === "INPUT" && input.type === "text")
+        );
+    }
+
+    /**
+     * Places a mirror element behind the input, with the same box, font metrics,
+     * wrapping and scroll position. The mirror's text is transparent, so only the
+     * highlight behind the overflowing text shows through the (now transparent) input.
+     * Typing, selection and spellchecking all still happen in the real input.
+     */
+    constructor(input) {
+        this.input = input;
+        this.isTextarea = input.tagName === "TEXTAREA";
+
+        this.mirror = document.createElement("div");
+        this.mirror.className = "soft-limit-mirror";
+        this.mirror.setAttribute("aria-hidden", "true");
+
+        // Take over the input's background, so the highlight can sit between the two
+        this.mirror.style.backgroundColor =
+            getComputedStyle(input).backgroundColor;
+
+        const parent = input.parentElement;
+        if (getComputedStyle(parent).position === "static") {
+            parent.classList.add("soft-limit-mirror-parent");
+        }
+        parent.insertBefore(this.mirror, input);
+        input.classList.add("soft-limit-mirrored");
+
+        this.onScroll = () => this.syncScroll();
+        input.addEventListener("scroll", this.onScroll);
+
+        // Follow resizing (including auto-growing textareas)
+        this.resizeObserver =
+            typeof ResizeObserver !== "undefined"
+                ? new ResizeObserver(() => this.syncLayout())
+                : null;
+        this.resizeObserver?.observe(input);
+
+        this.syncLayout();
+    }
+
+    /**
+     * Copies the input's position, size and text metrics to the mirror.
+     */
+    syncLayout() {
+        const style = getComputedStyle(this.input);
+        const mirrorStyle = this.mirror.style;
+
+        OverflowHighlighter.MIRRORED_PROPERTIES.forEach((property) => {
+            mirrorStyle[property] = style[property];
+        });
+
+        // Leave room for the input's scrollbar, so text wraps at the same place
+        const borderX =
+            parseFloat(style.borderLeftWidth) +
+            parseFloat(style.borderRightWidth);
+        const scrollbarWidth = Math.max(
+            0,
+            this.input.offsetWidth - this.input.clientWidth - borderX
+        );
+        mirrorStyle.paddingRight = `${parseFloat(style.paddingRight) + scrollbarWidth}px`;
+
+        mirrorStyle.top = `${this.input.offsetTop}px`;
+        mirrorStyle.left = `${this.input.offsetLeft}px`;
+        mirrorStyle.width = `${this.input.offsetWidth}px`;
+        mirrorStyle.height = `${this.input.offsetHeight}px`;
+        mirrorStyle.whiteSpace = this.isTextarea ? "pre-wrap" : "pre";
+        mirrorStyle.overflowWrap = this.isTextarea ? "break-word" : "normal";
+
+        this.syncScroll();
+    }
+
+    /**
+     * Matches the mirror's scroll position to the input's.
+     */
+    syncScroll() {
+        this.mirror.scrollTop = this.input.scrollTop;
+        this.mirror.scrollLeft = this.input.scrollLeft;
+    }
+
+    /**
+     * Renders the text with everything from overflowStart onwards, and the phrase ranges, highlighted.
+     * @param {string} text
+     * @param {?number} overflowStart - Null if the text is within the limit
+     * @param {{start: number, end: number}[]} [phraseRanges] - Avoided phrases, in order
+     */
+    update(text, overflowStart, phraseRanges = []) {
+        // Split the text wherever a highlight starts or ends
+        const offsets = new Set([0, text.length]);
+        if (overflowStart !== null) {
+            offsets.add(overflowStart);
+        }
+        phraseRanges.forEach(({ start, end }) => offsets.add(start).add(end));
+        const boundaries = Array.from(offsets).sort((a, b) => a - b);
+
+        const nodes = [];
+        for (let i = 1; i < boundaries.length; i++) {
+            const start = boundaries[i - 1];
+            const end = boundaries[i];
+            const classes = [];
+            if (overflowStart !== null && start >= overflowStart) {
+                classes.push("soft-limit-overflow");
+            }
+            if (
+                phraseRanges.some(
+                    (range) => range.start <= start && range.end >= end
+                )
+            ) {
+                classes.push("soft-limit-phrase");
+            }
+
+            if (!classes.length) {
+                nodes.push(document.createTextNode(text.slice(start, end)));
+                continue;
+            }
+            const mark = document.createElement("mark");
+            mark.className = classes.join(" ");
+            mark.textContent = text.slice(start, end);
+            nodes.push(mark);
+        }
+
+        // A trailing newline needs something after it to take up a line, as in the textarea
+        nodes.push(document.createTextNode("\u200b"));
+        this.mirror.replaceChildren(...nodes);
+        this.syncLayout();
+    }
+
+    /**
+     * Removes the highlight.
+     */
+    clear() {
+        this.mirror.replaceChildren();
+    }
+
+    /**
+     * Removes the mirror and restores the input.
+     */
+    destroy() {
+        this.resizeObserver?.disconnect();
+        this.input.removeEventListener("scroll", this.onScroll);
+        this.input.classList.remove("soft-limit-mirrored");
+        this.mirror.parentElement?.classList.remove("soft-limit-mirror-parent");
+        this.mirror.remove();
+    }
+}
+
+OverflowHighlighter.MIRRORED_PROPERTIES = [
+    "boxSizing",
+    "borderTopWidth",
+    "borderRightWidth",
+    "borderBottomWidth",
+    "borderLeftWidth",
+    "borderRadius",
+    "paddingTop",
+    "paddingRight",
+    "paddingBottom",
+    "paddingLeft",
+    "fontFamily",
+    "fontSize",
+    "fontStyle",
+    "fontVariant",
+    "fontWeight",
+    "fontStretch",
+    "letterSpacing",
+    "wordSpacing",
+    "lineHeight",
+    "textAlign",
+    "textIndent",
+    "textTransform",
+    "tabSize",
+    "direction",
+];
+
+// Item count handler for Matrix, Entries, Assets and Categories fields
+class ItemCountHandler extends BaseHandler {
+    /**
+     * Returns the field's items: its Matrix blocks, or its selected elements (chips or cards).
+     * Items of nested fields (e.g. relation fields within Matrix blocks) aren't included.
+     * @returns {HTMLElement[]}
+     */
+    getItems() {
+        const selector = ItemCountHandler.ITEM_SELECTOR;
+        return Array.from(this.input.querySelectorAll(selector)).filter(
+            (item) => {
+                const parentItem = item.parentElement.closest(
+                    `${selector}, ${ItemCountHandler.FIELD_SELECTOR}`
+                );
+                return (
+                    !parentItem ||
+                    parentItem === this.input ||
+                    !this.input.contains(parentItem)
+                );
+            }
+        );
+    }
+
+    /**
+     * Item counters can't be placed in a corner, as there's no input to place them in.
+     */
+    getCornerAnchor() {
+        return null;
+    }
+
+    /**
+     * Returns the number of items in the field.
+     */
+    getTextLength() {
+        return this.getItems().length;
+    }
+
+    /**
+     * Updates the counter, then highlights any items beyond the limit.
+     */
+    updateCounter() {
+        super.updateCounter();
+        this.renderOverflow();
+    }
+
+    /**
+     * Marks the items beyond the limit.
+     */
+    renderOverflow() {
+        this.getItems().forEach((item, index) =>
+            item.classList.toggle(
+                "soft-limit-overflow-item",
+                this.highlightOverflow && index >= this.limit
+            )
+        );
+    }
+
+    /**
+     * Watches the field for items being added, removed, duplicated or reordered. Other changes,
+     * e.g. within the items' fields, don't change the count.
+     */
+    setupEventListeners() {
+        const debouncedUpdate = this.debounce(
+            () => this.scheduleUpdate(),
+            CONFIG.DEBOUNCE_MUTATION
+        );
+        const isItem = (node) =>
+            node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches(ItemCountHandler.ITEM_SELECTOR) ||
+                !!node.querySelector(ItemCountHandler.ITEM_SELECTOR));
+
+        this.observeTracked(this.input, (mutations) => {
+            if (
+                mutations.some(
+                    (mutation) =>
+                        Array.from(mutation.addedNodes).some(isItem) ||
+                        Array.from(mutation.removedNodes).some(isItem)
+                )
+            ) {
+                debouncedUpdate();
+            }
+        });
+    }
+
+    /**
+     * Focuses the first control in the field, e.g. its first item or "Add" button.
+     */
+    focus() {
+        const control = this.input.querySelector(
+            'button, a[href], [tabindex]:not([tabindex="-1"]), input:not([type="hidden"])'
+        );
+        (control || this.input).focus({ preventScroll: true });
+    }
+
+    /**
+     * Cleans up tracked resources and item highlights.
+     */
+    destroy() {
+        super.destroy();
+        this.input
+            .querySelectorAll(".soft-limit-overflow-item")
+            .forEach((item) =>
+                item.classList.remove("soft-limit-overflow-item")
+            );
+    }
+}
+
+// Matrix blocks, and selected elements in relation fields and Matrix card views
+ItemCountHandler.ITEM_SELECTOR = ".matrixblock, .element[data-id]";
+
+// Containers of nested Matrix and relation fields
+ItemCountHandler.FIELD_SELECTOR = ".matrix-field, .elementselect";
+
+// Group handler, which counts the total of every field in a group (see SoftLimitGroup)
+class GroupHandler extends BaseHandler {
+    /**
+     * Creates the handler for a group's counter, which is also its input.
+     */
+    constructor(input, counterElement, options) {
+        super(input, counterElement, options);
+        this.members = options.members;
+        this.groupName = options.groupName;
+        this.labelElement = null;
+
+        // Each member's count in the group's unit, as of the last update
+        this.shares = new Map();
+    }
+
+    /**
+     * Returns the total of the members' counts, in the group's unit.
+     */
+    getTextLength() {
+        this.shares.clear();
+        let total = 0;
+        this.members.forEach((counter) => {
+            const share = counter.handler.getCountIn(this.unit);
+            this.shares.set(counter, share);
+            total += share;
+        });
+        return total;
+    }
+
+    /**
+     * Updates the total, then each member's share of it.
+     */
+    updateCounter() {
+        super.updateCounter();
+
+        const total = this.getAmountText(this.limit);
+        this.shares.forEach((share, counter) =>
+            counter.handler.renderGroupShare(
+                I18n.t("{group}: {share} of {total}", {
+                    group: this.groupName,
+                    share: I18n.formatNumber(share),
+                    total,
+                })
+            )
+        );
+    }
+
+    /**
+     * Renders the total, labelled with the group's name.
+     */
+    renderCounter(length, status) {
+        super.renderCounter(length, status);
+
+        if (!this.labelElement) {
+            this.labelElement = document.createElement("span");
+            this.labelElement.className = "soft-limit-group-label";
+            this.labelElement.textContent = I18n.t("Total for {group}", {
+                group: this.groupName,
+            });
+            this.counterElement.prepend(this.labelElement);
+        }
+    }
+
+    /**
+     * The group's counter doesn't describe any one input; members show their share instead.
+     */
+    getDescribedElements() {
+        return [];
+    }
+
+    /**
+     * Members update the group when their counts change, so there's nothing to listen to.
+     */
+    setupEventListeners() {}
+
+    /**
+     * Focuses the first field in the group.
+     */
+    focus() {
+        Array.from(this.members)[0]?.focus();
+    }
 
-        this.addEventListenerTracked(this.input, "input", debouncedUpdate);
-        this.addEventListenerTracked(this.input, "keyup", debouncedUpdate);
-        this.addEventListenerTracked(this.input, "change", updateCounter);
-        this.addEventListenerTracked(this.input, "paste", () =>
-            this.addTimerTracked(setTimeout(updateCounter, 10))
+    /**
+     * Returns the group's status, with its name.
+     */
+    getDetail() {
+        return { ...super.getDetail(), group: this.groupName };
+    }
+}
+
+// CKEditor 5 handler
+class CKEditor5Handler extends BaseHandler {
+    /**
+     * Creates a CKEditor 5 handler. The editor instance is bound once it's ready.
+     */
+    constructor(input, counterElement, options) {
+        super(input, counterElement, options);
+        this.editor = null;
+        this.editorListeners = [];
+    }
+
+    /**
+     * Counts the editor's model once the instance is bound, so that the count and the
+     * overflow highlight agree exactly. Until then, counts CKEditor 5's editable element,
+     * falling back to the textarea value.
+     */
+    getTextLength() {
+        if (this.editor) {
+            const blocks = this.getModelBlocks().map((block) => block.text);
+            return TextMetrics.countBlocks(blocks, this.unit, this.font);
+        }
+
+        const editableElement = this.fieldContainer?.querySelector(
+            ".ck-editor__editable"
+        );
+        if (editableElement) {
+            const content = editableElement.innerHTML || "";
+            return this.getCountFromHtml(content);
+        }
+        return this.getCountFromHtml(this.input.value || "");
+    }
+
+    /**
+     * Returns the text of the editor's model once the instance is bound, so that phrases are
+     * found where they're highlighted. Until then, returns the editable element's text.
+     */
+    getText() {
+        if (this.editor) {
+            return this.getModelText().text;
+        }
+
+        const editableElement = this.fieldContainer?.querySelector(
+            ".ck-editor__editable"
+        );
+        return this.getTextFromHtml(
+            editableElement ? editableElement.innerHTML : this.input.value
+        );
+    }
+
+    /**
+     * Sets up event listeners and mutation observer for CKEditor 5 instances.
+     */
+    setupEventListeners() {
+        // Updates are batched into the next animation frame
+        const updateCounter = () => this.scheduleUpdate();
+        const debouncedUpdate = this.debounce(
+            updateCounter,
+            CONFIG.DEBOUNCE_FAST
+        );
+
+        const editableElement = this.fieldContainer?.querySelector(
+            ".ck-editor__editable"
+        );
+        if (editableElement) {
+            this.addEventListenerTracked(
+                editableElement,
+                "input",
+                debouncedUpdate
+            );
+            this.addEventListenerTracked(
+                editableElement,
+                "keyup",
+                debouncedUpdate
+            );
+            this.addEventListenerTracked(editableElement, "paste", () =>
+                this.addTimerTracked(
+                    setTimeout(updateCounter, CONFIG.PASTE_DELAY)
+                )
+            );
+            this.addEventListenerTracked(
+                editableElement,
+                "blur",
+                updateCounter
+            );
+            this.trackComposition(editableElement);
+
+            // Set up mutation observer for content changes
+            const debouncedMutationUpdate = this.debounce(
+                updateCounter,
+                CONFIG.DEBOUNCE_MUTATION
+            );
+            this.observeTracked(editableElement, (mutations) => {
+                if (
+                    mutations.some(
+                        (mutation) =>
+                            mutation.type === "childList" ||
+                            mutation.type === "characterData"
+                    )
+                ) {
+                    debouncedMutationUpdate();
+                }
+            });
+
+            // Try to find the CKEditor instance for more advanced events
+            this.setupCKEditor5Instance(editableElement, debouncedUpdate);
+        }
+    }
+
+    /**
+     * Focuses the editor, falling back to its editable element.
+     */
+    focus() {
+        const editableElement = this.fieldContainer?.querySelector(
+            ".ck-editor__editable"
+        );
+        if (editableElement && editableElement.ckeditorInstance) {
+            editableElement.ckeditorInstance.editing.view.focus();
+        } else if (editableElement) {
+            editableElement.focus({ preventScroll: true });
+        } else {
+            super.focus();
+        }
+    }
+
+    /**
+     * Describes the editable area until the editor is bound, falling back to the textarea.
+     */
+    getDescribedElements() {
+        const editableElement = this.fieldContainer?.querySelector(
+            ".ck-editor__editable"
+        );
+        return [editableElement || this.input];
+    }
+
+    /**
+     * Places corner counters in the editor's frame, below the toolbar.
+     */
+    getCornerAnchor() {
+        return this.fieldContainer?.querySelector(".ck-editor__main") || null;
+    }
+
+    /**
+     * Links the counter to the editor's editing root. The editor renders the root's
+     * attributes from its view, so the attribute is set through the view rather than the DOM.
+     */
+    describeEditingRoot(editor) {
+        const ids = this.getDescriptionIds();
+        editor.editing.view.change((writer) => {
+            const root = editor.editing.view.document.getRoot();
+            writer.setAttribute(
+                "aria-describedby",
+                ids.reduce(
+                    (value, id) => BaseHandler.addIdReference(value, id),
+                    root.getAttribute("aria-describedby")
+                ),
+                root
+            );
+        });
+    }
+
+    /**
+     * Removes the counter from the editing root's aria-describedby attribute.
+     */
+    undescribeEditingRoot(editor) {
+        const ids = this.getDescriptionIds();
+        editor.editing.view.change((writer) => {
+            const root = editor.editing.view.document.getRoot();
+            const value = ids.reduce(
+                (value, id) => BaseHandler.removeIdReference(value, id),
+                root.getAttribute("aria-describedby")
+            );
+            if (value) {
+                writer.setAttribute("aria-describedby", value, root);
+            } else {
+                writer.removeAttribute("aria-describedby", root);
+            }
+        });
+    }
+
+    /**
+     * Attempts to bind to the CKEditor 5 instance for enhanced event handling. If the
+     * instance never turns up, the editable element keeps being counted instead.
+     */
+    setupCKEditor5Instance(editableElement, debouncedUpdate) {
+        const checkForInstance = () => {
+            if (editableElement.ckeditorInstance) {
+                const editor = editableElement.ckeditorInstance;
+                try {
+                    this.listenToEditor(
+                        editor.model.document,
+                        "change:data",
+                        debouncedUpdate
+                    );
+                    this.listenToEditor(
+                        editor.editing.view.document,
+                        "keyup",
+                        debouncedUpdate
+                    );
+                    CKEditor5Handler.registerOverflowConversion(editor);
+                    this.guardEditorPastes(editor);
+                    this.undescribeInput();
+                    this.describeEditingRoot(editor);
+                    this.editor = editor;
+                    this.updateCounter();
+                } catch (e) {
+                    console.warn(
+                        "Soft Limit: Could not bind to CKEditor instance",
+                        e
+                    );
+                }
+                return true;
+            }
+            return false;
+        };
+        this.retryUntil(checkForInstance, CONFIG.CKINSTANCE_CHECK_DELAY, () =>
+            console.warn(
+                `Soft Limit: No CKEditor instance found for ${this.inputId}. Counting its editable element instead.`
+            )
+        );
+    }
+
+    /**
+     * Listens to a CKEditor emitter and tracks the listener for cleanup.
+     */
+    listenToEditor(emitter, event, callback, options) {
+        emitter.on(event, callback, options);
+        this.editorListeners.push({ emitter, event, callback });
+    }
+
+    /**
+     * Watches the editor's clipboard pipeline for pastes that take the field over its limit,
+     * when the paste guard is on. The pasted content is tracked with a marker, so that its
+     * range stays right while the editor's post-fixers run.
+     */
+    guardEditorPastes(editor) {
+        if (!this.pasteGuard || !editor.plugins.has("ClipboardPipeline")) {
+            return;
+        }
+
+        this.listenToEditor(
+            editor.plugins.get("ClipboardPipeline"),
+            "contentInsertion",
+            (event, data) => {
+                if (!data.resultRange || data.resultRange.isCollapsed) {
+                    return;
+                }
+                editor.model.change((writer) => {
+                    const options = {
+                        range: data.resultRange,
+                        usingOperation: false,
+                        affectsData: false,
+                    };
+                    if (
+                        editor.model.markers.has(CKEditor5Handler.PASTE_MARKER)
+                    ) {
+                        writer.updateMarker(
+                            CKEditor5Handler.PASTE_MARKER,
+                            options
+                        );
+                    } else {
+                        writer.addMarker(
+                            CKEditor5Handler.PASTE_MARKER,
+                            options
+                        );
+                    }
+                });
+                this.addTimerTracked(
+                    setTimeout(
+                        () => this.offerEditorPasteOptions(),
+                        CONFIG.PASTE_DELAY
+                    )
+                );
+            },
+            // After the content has been inserted
+            { priority: "lowest" }
+        );
+    }
+
+    /**
+     * Offers to keep only part of the content that was just pasted, if it took the field over its limit.
+     */
+    offerEditorPasteOptions() {
+        const editor = this.editor;
+        const marker = editor?.model.markers.get(CKEditor5Handler.PASTE_MARKER);
+        if (!marker) {
+            return;
+        }
+
+        const model = editor.model;
+        const range = marker.getRange();
+        model.change((writer) => writer.removeMarker(marker));
+
+        const modelText = this.getModelText();
+        const version = model.document.version;
+
+        this.offerPasteOptions({
+            text: modelText.text,
+            start: this.getModelOffset(modelText, range.start),
+            end: this.getModelOffset(modelText, range.end),
+            blocks: true,
+            isCurrent: () =>
+                this.editor === editor && model.document.version === version,
+            keep: (cut) =>
+                model.change((writer) =>
+                    writer.remove(
+                        writer.createRange(
+                            this.getModelPosition(modelText, cut),
+                            range.end
+                        )
+                    )
+                ),
+        });
+    }
+
+    /**
+     * Returns the text blocks of the editor's model: every element that can contain text
+     * (paragraphs, headings, list items, table cell paragraphs, captions, etc.), with soft
+     * breaks as "\n", following the same rules as TextMetrics.getBlocksFromHtml().
+     * Each block maps indexes in its text to offsets in the model element.
+     * @returns {{element: Object, text: string, offsets: number[]}[]}
+     */
+    getModelBlocks() {
+        const model = this.editor.model;
+        const blocks = [];
+
+        const walk = (parent) => {
+            for (const child of parent.getChildren()) {
+                if (!child.is("element")) {
+                    continue;
+                }
+                if (model.schema.checkChild(child, "$text")) {
+                    const block = this.getModelBlock(child);
+                    if (block.text.trim()) {
+                        blocks.push(block);
+                    }
+                } else {
+                    walk(child);
+                }
+            }
+        };
+
+        walk(model.document.getRoot());
+
+        return blocks;
+    }
+
+    /**
+     * Returns the text of a model block, and the model offset of each index in it.
+     * Inline objects other than soft breaks (e.g. inline images) have no text.
+     */
+    getModelBlock(element) {
+        let text = "";
+        const offsets = [];
+
+        for (const child of element.getChildren()) {
+            if (child.is("$text")) {
+                for (let i = 0; i < child.data.length; i++) {
+                    offsets.push(child.startOffset + i);
+                }
+                text += child.data;
+            } else if (child.is("element", "softBreak")) {
+                offsets.push(child.startOffset);
+                text += "\n";
+            }
+        }
+        offsets.push(element.maxOffset);
+
+        return { element, text, offsets };
+    }
+
+    /**
+     * Returns the model position where the content beyond the limit starts,
+     * or null if the content is within the limit.
+     */
+    getOverflowPosition() {
+        const blocks = this.getModelBlocks();
+        const limitAt = TextMetrics.blockOffsetAtLimit(
+            blocks.map((block) => block.text),
+            this.unit,
+            this.limit,
+            this.font
+        );
+        if (!limitAt) {
+            return null;
+        }
+
+        const block = blocks[limitAt.block];
+        return this.editor.model.createPositionAt(
+            block.element,
+            block.offsets[limitAt.offset]
+        );
+    }
+
+    /**
+     * The content can be trimmed once the editor is bound, through its model.
+     */
+    canTrim() {
+        return !!this.editor && !this.editor.isReadOnly;
+    }
+
+    /**
+     * Suggests the editor's content trimmed to the limit. The blocks are joined with blank
+     * lines, which end sentences, so the content can also be cut at the end of a block.
+     * The suggestion includes the model position to cut at.
+     */
+    getTrimSuggestion() {
+        if (!this.editor) {
+            return null;
+        }
+
+        const modelText = this.getModelText();
+        const { blocks, starts, text } = modelText;
+        const texts = blocks.map((block) => block.text);
+        const limitAt = TextMetrics.blockOffsetAtLimit(
+            texts,
+            this.unit,
+            this.limit,
+            this.font
+        );
+        if (!limitAt) {
+            return null;
+        }
+
+        const cut = TextMetrics.trimOffset(
+            text,
+            starts[limitAt.block] + limitAt.offset
+        );
+        const kept = text.slice(0, cut);
+
+        return {
+            kept,
+            removed: text.slice(cut),
+            count: TextMetrics.countBlocks(
+                kept.split("\n\n"),
+                this.unit,
+                this.font
+            ),
+            position: this.getModelPosition(modelText, cut),
+        };
+    }
+
+    /**
+     * Returns the text of the editor's model blocks (see getModelBlocks()) joined with blank
+     * lines, with where each block starts in it.
+     * @returns {{blocks: Object[], starts: number[], text: string}}
+     */
+    getModelText() {
+        const blocks = this.getModelBlocks();
+        const starts = [];
+        let start = 0;
+        blocks.forEach((block) => {
+            starts.push(start);
+            start += block.text.length + 2;
+        });
+
+        return {
+            blocks,
+            starts,
+            text: blocks.map((block) => block.text).join("\n\n"),
+        };
+    }
+
+    /**
+     * Returns the model position of an offset in the model's text (see getModelText()).
+     * Offsets between blocks are at the end of the block before.
+     */
+    getModelPosition({ blocks, starts }, offset) {
+        let index = starts.length - 1;
+        while (index > 0 && starts[index] > offset) {
+            index--;
+        }
+        const block = blocks[index];
+        return this.editor.model.createPositionAt(
+            block.element,
+            block.offsets[Math.min(offset - starts[index], block.text.length)]
         );
     }
-}
 
-// CKEditor 5 handler
-class CKEditor5Handler extends BaseHandler {
     /**
-     * Extracts text content from CKEditor 5's editable element or falls back to textarea value.
+     * Returns the offset of a model position in the model's text (see getModelText()).
+     * Positions between blocks are at the start of the block after.
+     */
+    getModelOffset({ blocks, starts, text }, position) {
+        const model = this.editor.model;
+        for (let index = 0; index < blocks.length; index++) {
+            const { element, offsets } = blocks[index];
+            if (position.isAfter(model.createPositionAt(element, "end"))) {
+                continue;
+            }
+            if (position.parent !== element) {
+                return starts[index];
+            }
+            const textOffset = offsets.findIndex(
+                (offset) => offset >= position.offset
+            );
+            return starts[index] + textOffset;
+        }
+        return text.length;
+    }
+
+    /**
+     * Removes everything after the cut in a single model change, so that the trim can be
+     * undone, and the formatting, links and lists of the content that's kept are untouched.
+     */
+    applyTrim({ position }) {
+        const model = this.editor.model;
+        model.change((writer) => {
+            writer.remove(
+                writer.createRange(
+                    position,
+                    writer.createPositionAt(model.document.getRoot(), "end")
+                )
+            );
+        });
+    }
+
+    /**
+     * Updates the counter, then highlights any content beyond the limit and avoided phrases.
      */
-    getTextLength() {
-        const editableElement = this.fieldContainer?.querySelector(
-            ".ck-editor__editable"
-        );
-        if (editableElement) {
-            const content = editableElement.innerHTML || "";
-            return this.getTextFromHtml(content);
+    updateCounter() {
+        super.updateCounter();
+
+        if (!this.isComposing) {
+            this.renderOverflow();
+            this.renderPhrases();
         }
-        return (this.input.value || "").length;
     }
 
     /**
-     * Sets up event listeners and mutation observer for CKEditor 5 instances.
+     * Marks the content beyond the limit with an editing-only marker. The marker
+     * doesn't use operations and doesn't affect data, so it's never part of the
+     * field value and doesn't show up in undo history.
      */
-    setupEventListeners() {
-        const updateCounter = () => this.updateCounter();
-        const debouncedUpdate = this.debounce(
-            updateCounter,
-            CONFIG.DEBOUNCE_FAST
-        );
+    renderOverflow() {
+        const editor = this.editor;
+        if (
+            !editor ||
+            editor.state === "destroyed" ||
+            editor.editing.view.document.isComposing
+        ) {
+            return;
+        }
 
-        const editableElement = this.fieldContainer?.querySelector(
-            ".ck-editor__editable"
-        );
-        if (editableElement) {
-            this.addEventListenerTracked(
-                editableElement,
-                "input",
-                debouncedUpdate
-            );
-            this.addEventListenerTracked(
-                editableElement,
-                "keyup",
-                debouncedUpdate
-            );
-            this.addEventListenerTracked(editableElement, "paste", () =>
-                this.addTimerTracked(
-                    setTimeout(updateCounter, CONFIG.PASTE_DELAY)
-                )
-            );
-            this.addEventListenerTracked(
-                editableElement,
-                "blur",
-                updateCounter
-            );
+        const model = editor.model;
+        const markerName = CKEditor5Handler.OVERFLOW_MARKER;
+        const existing = model.markers.get(markerName);
+        const position = this.highlightOverflow
+            ? this.getOverflowPosition()
+            : null;
 
-            // Set up mutation observer for content changes
-            const debouncedMutationUpdate = this.debounce(
-                updateCounter,
-                CONFIG.DEBOUNCE_MUTATION
-            );
-            const contentObserver = this.addObserverTracked(
-                new MutationObserver((mutations) => {
-                    let shouldUpdate = false;
-                    mutations.forEach((mutation) => {
-                        if (
-                            mutation.type === "childList" ||
-                            mutation.type === "characterData"
-                        ) {
-                            shouldUpdate = true;
-                        }
-                    });
-                    if (shouldUpdate) {
-                        debouncedMutationUpdate();
-                    }
-                })
+        if (!position && !existing) {
+            return;
+        }
+
+        model.change((writer) => {
+            if (!position) {
+                writer.removeMarker(markerName);
+                return;
+            }
+
+            const range = writer.createRange(
+                position,
+                writer.createPositionAt(model.document.getRoot(), "end")
             );
+            if (!existing) {
+                writer.addMarker(markerName, {
+                    range,
+                    usingOperation: false,
+                    affectsData: false,
+                });
+            } else if (!existing.getRange().isEqual(range)) {
+                writer.updateMarker(markerName, { range });
+            }
+        });
+    }
+
+    /**
+     * Marks each avoided phrase with an editing-only marker in the phrase marker group
+     * (e.g. "softLimitPhrase:0"), like the overflow marker.
+     */
+    renderPhrases() {
+        const editor = this.editor;
+        if (
+            !editor ||
+            editor.state === "destroyed" ||
+            editor.editing.view.document.isComposing
+        ) {
+            return;
+        }
+
+        const model = editor.model;
+        const group = CKEditor5Handler.PHRASE_MARKER;
+        const existing = Array.from(model.markers.getMarkersGroup(group));
+        const ranges = this.phraseCheck?.ranges ?? [];
+
+        if (!ranges.length && !existing.length) {
+            return;
+        }
 
-            contentObserver.observe(editableElement, {
-                childList: true,
-                subtree: true,
-                characterData: true,
+        const modelText = this.getModelText();
+        model.change((writer) => {
+            ranges.forEach(({ start, end }, index) => {
+                const markerName = `${group}:${index}`;
+                const marker = model.markers.get(markerName);
+                const range = writer.createRange(
+                    this.getModelPosition(modelText, start),
+                    this.getModelPosition(modelText, end)
+                );
+                if (!marker) {
+                    writer.addMarker(markerName, {
+                        range,
+                        usingOperation: false,
+                        affectsData: false,
+                    });
+                } else if (!marker.getRange().isEqual(range)) {
+                    writer.updateMarker(markerName, { range });
+                }
             });
 
-            // Try to find the CKEditor instance for more advanced events
-            this.setupCKEditor5Instance(editableElement, debouncedUpdate);
+            // Remove the markers of phrases that are no longer used
+            existing
+                .filter(
+                    (marker) =>
+                        Number(marker.name.slice(group.length + 1)) >=
+                        ranges.length
+                )
+                .forEach((marker) => writer.removeMarker(marker));
+        });
+    }
+
+    /**
+     * Registers the editing view conversion for the overflow and phrase markers, once per editor.
+     */
+    static registerOverflowConversion(editor) {
+        if (this.convertedEditors.has(editor)) {
+            return;
         }
+        this.convertedEditors.add(editor);
+
+        editor.conversion.for("editingDowncast").markerToHighlight({
+            model: this.OVERFLOW_MARKER,
+            view: { classes: "soft-limit-overflow" },
+        });
+        editor.conversion.for("editingDowncast").markerToHighlight({
+            model: this.PHRASE_MARKER,
+            view: { classes: "soft-limit-phrase" },
+        });
     }
 
     /**
-     * Attempts to bind to the CKEditor 5 instance for enhanced event handling.
+     * Cleans up tracked resources, editor listeners and the overflow and phrase markers.
      */
-    setupCKEditor5Instance(editableElement, debouncedUpdate) {
-        const checkForInstance = () => {
-            if (editableElement.ckeditorInstance) {
-                const editor = editableElement.ckeditorInstance;
-                try {
-                    editor.model.document.on("change:data", debouncedUpdate);
-                    editor.editing.view.document.on("keyup", debouncedUpdate);
-                } catch (e) {
-                    console.warn(
-                        "Soft Limit: Could not bind to CKEditor instance",
-                        e
+    destroy() {
+        super.destroy();
+
+        this.editorListeners.forEach(({ emitter, event, callback }) =>
+            emitter.off(event, callback)
+        );
+        this.editorListeners = [];
+
+        const editor = this.editor;
+        if (editor && editor.state !== "destroyed") {
+            [
+                CKEditor5Handler.OVERFLOW_MARKER,
+                CKEditor5Handler.PASTE_MARKER,
+            ].forEach((markerName) => {
+                if (editor.model.markers.has(markerName)) {
+                    editor.model.change((writer) =>
+                        writer.removeMarker(markerName)
                     );
                 }
-            } else {
-                this.addTimerTracked(
-                    setTimeout(checkForInstance, CONFIG.CKINSTANCE_CHECK_DELAY)
+            });
+            const phraseMarkers = Array.from(
+                editor.model.markers.getMarkersGroup(
+                    CKEditor5Handler.PHRASE_MARKER
+                )
+            );
+            if (phraseMarkers.length) {
+                editor.model.change((writer) =>
+                    phraseMarkers.forEach((marker) =>
+                        writer.removeMarker(marker)
+                    )
                 );
             }
-        };
-        checkForInstance();
+            this.undescribeEditingRoot(editor);
+        }
+        this.editor = null;
     }
 }
 
+CKEditor5Handler.OVERFLOW_MARKER = "softLimitOverflow";
+CKEditor5Handler.PASTE_MARKER = "softLimitPaste";
+CKEditor5Handler.PHRASE_MARKER = "softLimitPhrase";
+CKEditor5Handler.convertedEditors = new WeakSet();
+
 // CKEditor 4 handler
 class CKEditor4Handler extends BaseHandler {
     /**
@@ -720,17 +6233,53 @@ class CKEditor4Handler extends BaseHandler {
                 CKEDITOR.instances[this.input.name];
             if (ckInstance) {
                 const content = ckInstance.getData();
-                return this.getTextFromHtml(content);
+                return this.getCountFromHtml(content);
             }
         }
-        return (this.input.value || "").length;
+        return this.getCountFromHtml(this.input.value || "");
+    }
+
+    /**
+     * Gets the text of the CKEditor 4 instance's content, falling back to the textarea value.
+     */
+    getText() {
+        const ckInstance =
+            typeof CKEDITOR !== "undefined" &&
+            (CKEDITOR.instances[this.input.id] ||
+                CKEDITOR.instances[this.input.name]);
+        return this.getTextFromHtml(
+            ckInstance ? ckInstance.getData() : this.input.value
+        );
+    }
+
+    /**
+     * CKEditor 4's content is in an iframe, so its counters stay below the editor.
+     */
+    getCornerAnchor() {
+        return null;
+    }
+
+    /**
+     * Focuses the CKEditor 4 instance, falling back to the textarea.
+     */
+    focus() {
+        const ckInstance =
+            typeof CKEDITOR !== "undefined" &&
+            (CKEDITOR.instances[this.input.id] ||
+                CKEDITOR.instances[this.input.name]);
+        if (ckInstance) {
+            ckInstance.focus();
+        } else {
+            super.focus();
+        }
     }
 
     /**
      * Sets up event listeners for CKEditor 4 instances using the CKEditor API.
      */
     setupEventListeners() {
-        const updateCounter = () => this.updateCounter();
+        // Updates are batched into the next animation frame
+        const updateCounter = () => this.scheduleUpdate();
         const debouncedUpdate = this.debounce(
             updateCounter,
             CONFIG.DEBOUNCE_FAST
@@ -748,6 +6297,12 @@ class CKEditor4Handler extends BaseHandler {
                         setTimeout(updateCounter, CONFIG.PASTE_DELAY)
                     )
                 );
+
+                // The editable lives in an iframe, so bind to it once it exists
+                const editable = ckInstance.editable && ckInstance.editable();
+                if (editable && editable.$) {
+                    this.trackComposition(editable.$);
+                }
             }
         }
     }
@@ -761,6 +6316,9 @@ class RedactorHandler extends BaseHandler {
     constructor(input, counterElement, options) {
         super(input, counterElement, options);
         this.fieldClass = options.fieldClass;
+
+        // The ranges this handler added to the shared phrase highlight
+        this.phraseRanges = [];
     }
 
     /**
@@ -775,7 +6333,7 @@ class RedactorHandler extends BaseHandler {
             const redactorInstance = $(this.input).data("redactor");
             if (redactorInstance && redactorInstance.code) {
                 const content = redactorInstance.code.get();
-                return this.getTextFromHtml(content);
+                return this.getCountFromHtml(content);
             }
         }
 
@@ -789,19 +6347,77 @@ class RedactorHandler extends BaseHandler {
                 // Get content from the first contenteditable element (usually the main editor)
                 const editorContent =
                     contentEditableElements[0].innerHTML || "";
-                return this.getTextFromHtml(editorContent);
+                return this.getCountFromHtml(editorContent);
             }
         }
 
         // Fallback to textarea value
-        return (this.input.value || "").length;
+        return this.getCountFromHtml(this.input.value || "");
+    }
+
+    /**
+     * Gets the text of Redactor's contenteditable element, so that phrases are found where
+     * they're highlighted, falling back to Redactor's HTML or the textarea value.
+     */
+    getText() {
+        const editable = this.getEditable();
+        if (editable) {
+            return RedactorHandler.getEditableText(editable).text;
+        }
+
+        const redactorInstance =
+            typeof $ !== "undefined" && $(this.input).data("redactor");
+        return this.getTextFromHtml(
+            redactorInstance?.code
+                ? redactorInstance.code.get()
+                : this.input.value
+        );
+    }
+
+    /**
+     * Returns Redactor's (main) contenteditable element, or null if it doesn't exist yet.
+     * @returns {?HTMLElement}
+     */
+    getEditable() {
+        return (
+            this.input
+                .closest(".field")
+                ?.querySelector('[contenteditable="true"]') || null
+        );
+    }
+
+    /**
+     * Describes Redactor's contenteditable element once it exists, falling back to the textarea.
+     */
+    getDescribedElements() {
+        return [this.getEditable() || this.input];
+    }
+
+    /**
+     * Places corner counters in Redactor's box.
+     */
+    getCornerAnchor() {
+        return this.input.closest(".redactor-box");
+    }
+
+    /**
+     * Focuses Redactor's contenteditable element, falling back to the textarea.
+     */
+    focus() {
+        const editable = this.getEditable();
+        if (editable) {
+            editable.focus({ preventScroll: true });
+        } else {
+            super.focus();
+        }
     }
 
     /**
      * Sets up event listeners for Redactor by delegating to the retry mechanism.
      */
     setupEventListeners() {
-        const updateCounter = () => this.updateCounter();
+        // Updates are batched into the next animation frame
+        const updateCounter = () => this.scheduleUpdate();
         const debouncedUpdate = this.debounce(
             updateCounter,
             CONFIG.DEBOUNCE_FAST
@@ -814,9 +6430,6 @@ class RedactorHandler extends BaseHandler {
      * Implements retry logic to wait for Redactor's contenteditable elements to be ready.
      */
     setupRedactorListeners(debouncedUpdate, updateCounter) {
-        let retryCount = 0;
-        const maxRetries = 10; // Try for up to 1 second (10 * 100ms)
-
         const checkForRedactorInstance = () => {
             try {
                 // Try to find contenteditable elements in the field container
@@ -834,28 +6447,20 @@ class RedactorHandler extends BaseHandler {
                         );
                     }
                 }
-
-                // If we haven't found contenteditable elements yet and haven't exceeded max retries, retry
-                if (retryCount < maxRetries) {
-                    retryCount++;
-                    this.addTimerTracked(
-                        setTimeout(
-                            checkForRedactorInstance,
-                            CONFIG.CKINSTANCE_CHECK_DELAY
-                        )
-                    );
-                } else {
-                    // Fallback to plain text events if no contenteditable elements found after retries
-                    this.fallbackToPlainText(debouncedUpdate, updateCounter);
-                }
+                return false;
             } catch (e) {
                 console.warn("Soft Limit: Error setting up Redactor events", e);
                 this.fallbackToPlainText(debouncedUpdate, updateCounter);
+                return true;
             }
         };
 
-        // Check immediately and retry if needed
-        checkForRedactorInstance();
+        // Check immediately, and fall back to plain text events if no contenteditable elements turn up
+        this.retryUntil(
+            checkForRedactorInstance,
+            CONFIG.CKINSTANCE_CHECK_DELAY,
+            () => this.fallbackToPlainText(debouncedUpdate, updateCounter)
+        );
     }
 
     /**
@@ -866,6 +6471,15 @@ class RedactorHandler extends BaseHandler {
         debouncedUpdate,
         updateCounter
     ) {
+        // Pastes are guarded in the main editor, which is the one that's counted
+        const editable = contentEditableElements[0];
+        this.guardPastes(
+            editable,
+            () => RedactorHandler.getEditableText(editable).text,
+            (start, end) => this.removeEditableText(editable, start, end),
+            true
+        );
+
         // Set up events on all contenteditable elements
         contentEditableElements.forEach((element) => {
             // Bind direct DOM events
@@ -877,32 +6491,25 @@ class RedactorHandler extends BaseHandler {
                 )
             );
             this.addEventListenerTracked(element, "blur", updateCounter);
+            this.trackComposition(element);
 
-            // Set up mutation observer to catch any content changes
-            const contentObserver = this.addObserverTracked(
-                new MutationObserver((mutations) => {
-                    let shouldUpdate = false;
-                    mutations.forEach((mutation) => {
-                        if (
+            // Watch for any content changes
+            this.observeTracked(element, (mutations) => {
+                if (
+                    mutations.some(
+                        (mutation) =>
                             mutation.type === "childList" ||
                             mutation.type === "characterData"
-                        ) {
-                            shouldUpdate = true;
-                        }
-                    });
-                    if (shouldUpdate) {
-                        debouncedUpdate();
-                    }
-                })
-            );
-
-            contentObserver.observe(element, {
-                childList: true,
-                subtree: true,
-                characterData: true,
+                    )
+                ) {
+                    debouncedUpdate();
+                }
             });
         });
 
+        // The editable may not have existed when the counter was first linked
+        this.describeInput();
+
         return true;
     }
 
@@ -916,9 +6523,205 @@ class RedactorHandler extends BaseHandler {
         this.addEventListenerTracked(this.input, "paste", () =>
             this.addTimerTracked(setTimeout(updateCounter, 10))
         );
+        this.trackComposition(this.input);
+    }
+
+    /**
+     * Removes the text between two offsets of the editable's text (see getEditableText()),
+     * then lets Redactor know that its content changed.
+     */
+    removeEditableText(editable, start, end) {
+        const { segments } = RedactorHandler.getEditableText(editable);
+        if (!segments.length) {
+            return;
+        }
+
+        RedactorHandler.createRange(segments, start, end).deleteContents();
+
+        editable.dispatchEvent(new Event("input", { bubbles: true }));
+        if (typeof $ !== "undefined") {
+            $(this.input).data("redactor")?.code?.sync?.();
+        }
+    }
+
+    /**
+     * Updates the counter, then highlights any avoided phrases.
+     */
+    updateCounter() {
+        super.updateCounter();
+
+        if (!this.isComposing) {
+            this.renderPhrases();
+        }
+    }
+
+    /**
+     * Highlights the avoided phrases in the editable with the CSS Custom Highlight API, which
+     * leaves Redactor's DOM alone. Browsers without it only show the hints.
+     */
+    renderPhrases() {
+        if (typeof Highlight === "undefined" || !CSS.highlights) {
+            return;
+        }
+
+        const highlight = RedactorHandler.getPhraseHighlight();
+        this.phraseRanges.forEach((range) => highlight.delete(range));
+        this.phraseRanges = [];
+
+        const editable = this.getEditable();
+        const ranges = this.phraseCheck?.ranges ?? [];
+        if (!editable || !ranges.length) {
+            return;
+        }
+
+        const { segments } = RedactorHandler.getEditableText(editable);
+        if (!segments.length) {
+            return;
+        }
+        this.phraseRanges = ranges.map(({ start, end }) =>
+            RedactorHandler.createRange(segments, start, end)
+        );
+        this.phraseRanges.forEach((range) => highlight.add(range));
+    }
+
+    /**
+     * Cleans up tracked resources and the phrase highlights.
+     */
+    destroy() {
+        super.destroy();
+
+        if (this.phraseRanges.length) {
+            const highlight = RedactorHandler.getPhraseHighlight();
+            this.phraseRanges.forEach((range) => highlight.delete(range));
+            this.phraseRanges = [];
+        }
+    }
+
+    /**
+     * Returns the highlight that avoided phrases in every Redactor field are added to,
+     * registering it the first time it's needed.
+     * @returns {Highlight}
+     */
+    static getPhraseHighlight() {
+        if (!RedactorHandler.phraseHighlight) {
+            RedactorHandler.phraseHighlight = new Highlight();
+            CSS.highlights.set(
+                RedactorHandler.PHRASE_HIGHLIGHT,
+                RedactorHandler.phraseHighlight
+            );
+        }
+        return RedactorHandler.phraseHighlight;
+    }
+
+    /**
+     * Creates a DOM range between two offsets of an editable's text (see getEditableText()).
+     * @param {{node: Text, start: number}[]} segments - The text's segments, of which there's at least one
+     * @param {number} start
+     * @param {number} end
+     * @returns {Range}
+     */
+    static createRange(segments, start, end) {
+        const toPoint = (offset) => {
+            let segment = segments[0];
+            for (const candidate of segments) {
+                if (candidate.start > offset) {
+                    break;
+                }
+                segment = candidate;
+            }
+            return [
+                segment.node,
+                Math.min(offset - segment.start, segment.node.length),
+            ];
+        };
+
+        const range = document.createRange();
+        range.setStart(...toPoint(start));
+        range.setEnd(...toPoint(end));
+        return range;
+    }
+
+    /**
+     * Returns the text of an editable element, with its blocks separated by blank lines and
+     * line breaks as "\n", like TextMetrics.getBlocksFromHtml(). Each text node is listed with
+     * where its text starts.
+     * @param {HTMLElement} editable
+     * @returns {{text: string, segments: {node: Text, start: number}[]}}
+     */
+    static getEditableText(editable) {
+        const segments = [];
+        let text = "";
+        let block = null;
+
+        const walker = document.createTreeWalker(
+            editable,
+            NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT
+        );
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.tagName === "BR") {
+                    text += "\n";
+                }
+                continue;
+            }
+
+            let nodeBlock = node.parentElement;
+            while (
+                nodeBlock !== editable &&
+                !TextMetrics.BLOCK_TAGS.has(nodeBlock.tagName)
+            ) {
+                nodeBlock = nodeBlock.parentElement;
+            }
+
+            // Whitespace between blocks isn't content
+            if (nodeBlock === editable && !node.data.trim()) {
+                continue;
+            }
+            if (text && nodeBlock !== block) {
+                text += "\n\n";
+            }
+            block = nodeBlock;
+
+            segments.push({ node, start: text.length });
+            text += node.data;
+        }
+
+        return { text, segments };
     }
 }
 
+RedactorHandler.PHRASE_HIGHLIGHT = "soft-limit-phrase";
+RedactorHandler.phraseHighlight = null;
+
 // Initialize the manager when the script loads
+SoftLimitManager.nextInputId = 1;
+SoftLimitManager.handlers = [];
+
+// Built-in handlers, from the fallback up, as later ones take precedence
+SoftLimitManager.registerHandler(() => true, PlainTextHandler);
+SoftLimitManager.registerHandler(
+    (counter) =>
+        counter.fieldClass === "craft\\fields\\Redactor" ||
+        counter.fieldClass === "craft\\redactor\\Field",
+    RedactorHandler
+);
+SoftLimitManager.registerHandler(
+    // Detected by its active instance, whatever the field class
+    (counter) =>
+        typeof CKEDITOR !== "undefined" &&
+        !!(
+            CKEDITOR.instances[counter.input.id] ||
+            CKEDITOR.instances[counter.input.name]
+        ),
+    CKEditor4Handler
+);
+SoftLimitManager.registerHandler("craft\\ckeditor\\Field", CKEditor5Handler);
+SoftLimitManager.registerHandler(
+    (counter) => counter.unit === "items",
+    ItemCountHandler
+);
+
 window.SoftLimitManager = SoftLimitManager;
+window.SoftLimitManager.EVENTS = EVENTS;
+window.SoftLimitManager.BaseHandler = BaseHandler;
 window.softLimitManager = new SoftLimitManager();
@@ -1,15 +1,16 @@
 (function () {
-    // Global function to clean soft-limit markers from instructions
-    function cleanSoftLimitInstructions() {
-        var allInstructionsElements = document.querySelectorAll(
-            ".field .instructions p, .field .instructions, .field .field-instructions p, .field .field-instructions"
+    // Global function to clean soft-limit, group limit and phrase markers from instructions and table column headings
+    // (within the given element, or the whole document)
+    function cleanSoftLimitInstructions(root) {
+        var allInstructionsElements = (root || document).querySelectorAll(
+            ".field .instructions p, .field .instructions, .field .field-instructions p, .field .field-instructions, .field table.editable thead th"
         );
 
         allInstructionsElements.forEach(function (elem) {
             var text = elem.innerHTML || elem.textContent || "";
-            if (text.match(/\[soft-limit:\s*\d+\s*\]/i)) {
+            if (text.match(/\[soft-(?:limit(?:-group)?|require|avoid):[^\]]*\]/i)) {
                 var cleaned = text
-                    .replace(/\s*\[soft-limit:\s*\d+\s*\]/gi, " ")
+                    .replace(/\s*\[soft-(?:limit(?:-group)?|require|avoid):[^\]]*\]/gi, " ")
                     .replace(/\s+/g, " ")
                     .trim();
 
@@ -27,10 +28,9 @@
 
     // Also run on DOM ready to catch any late-loaded content
     if (document.readyState === "loading") {
-        document.addEventListener(
-            "DOMContentLoaded",
-            cleanSoftLimitInstructions
-        );
+        document.addEventListener("DOMContentLoaded", function () {
+            cleanSoftLimitInstructions();
+        });
     }
 
     // Watch for dynamically added content
@@ -58,7 +58,9 @@
             });
 
             if (shouldClean) {
-                setTimeout(cleanSoftLimitInstructions, 10);
+                setTimeout(function () {
+                    cleanSoftLimitInstructions();
+                }, 10);
             }
         });
 
@@ -67,4 +69,11 @@
             subtree: true,
         });
     }
+
+    // The control panel script takes over watching for new content once it loads, so that
+    // only one observer watches the whole page (see SoftLimitManager.observeNewCounters())
+    window.softLimitCleanup = {
+        clean: cleanSoftLimitInstructions,
+        observer: observer || null,
+    };
 })();